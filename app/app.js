@@ -5,23 +5,58 @@
  * Supports both local development (proxy server) and hosted deployment (Cloudflare Worker).
  */
 
+// Classic league table views - each ranks on its own points (see FPLScoring.sortScores)
+const TABLE_VIEWS = ['monthly', 'gameweek', 'overall'];
+
+// Shareable table links: /league/{id}, then /month/{YYYY-MM}, /gameweek or /overall,
+// with ?gw= for a past gameweek and ?expand= for opened rows (comma-separated entries)
+const ROUTE_PATTERN = /^\/league\/(\d+)(?:\/(?:month(?:\/(\d{4}-\d{2}))?|(gameweek|overall)))?\/?$/;
+
 class FPLLiveTable {
   constructor() {
     // State
     this.leagueId = null;
-    this.currentView = 'monthly';
+    this.leagueType = null; // 'classic' or 'h2h' - detected when the league loads
+    this.currentView = this.getSavedView(); // 'monthly', 'gameweek' or 'overall' - 'h2h' for head-to-head leagues
     this.currentMonth = null;
     this.availableMonths = [];
-    this.currentGameweek = 1;
+    this.currentGameweek = 1; // Gameweek being shown - the live one unless looking back at a past one
+    this.liveGameweek = 1; // FPL's current gameweek
     this.gameweekDates = new Map();
+    this.monthGameweeks = new Map(); // Month key -> gameweeks (official FPL phases when available)
     this.expandedRows = new Set(); // Track which rows are expanded
     this.expandedFixtures = new Set(); // Track which fixtures are expanded
+    this.openBreakdown = null; // { entry, playerId } - player card whose points breakdown is open
+    this.expandedOwnership = new Set(); // Players whose gainers/losers are shown in the ownership panel
+    this.showAllOwnership = false;
+    this.compareEntries = []; // Up to two managers shown side by side
+    this.showSharedPlayers = false; // Comparison lists the players both managers count
+    this.myEntry = Number(localStorage.getItem('fpl_entry')) || null; // The viewer's own FPL entry, pinned above the table
+    this.archiveView = null; // Archived snapshot being shown instead of the live table
+    this.h2hMatches = []; // Current gameweek's match-ups (head-to-head leagues only)
     
     // Cache
     this.cache = new Map();
+    this.scoringContext = null; // Shared scoring context, rebuilt when live data changes
+    this.leagueOwnership = null; // League ownership, rebuilt when picks or live data change
+    
+    // League table computed by the server (falls back to the browser if unavailable)
+    this.useServerTable = CONFIG.SERVER_TABLE;
+    this.serverTable = null;
+    this.staleDataAge = 0; // Seconds - set when the proxy serves its last good copy
     
-    // Auto-refresh
-    this.refreshInterval = null;
+    // Big leagues are scored top-down by overall rank, CONFIG.MAX_MANAGERS at a time
+    this.managerLimit = CONFIG.MAX_MANAGERS;
+    this.hasMoreManagers = false;
+    
+    // Auto-refresh (timed from the fixtures, paused while the tab is hidden)
+    this.isPolling = false;
+    this.refreshTimer = null;
+    this.isRefreshing = false;
+    this.refreshQueued = false;
+    
+    // Live update stream (Server-Sent Events)
+    this.eventSource = null;
     
     // Initialize
     this.initElements();
@@ -39,21 +74,37 @@ class FPLLiveTable {
       setupSection: document.getElementById('setupSection'),
       leagueIdInput: document.getElementById('leagueIdInput'),
       loadLeagueBtn: document.getElementById('loadLeagueBtn'),
+      savedLeagues: document.getElementById('savedLeagues'),
       
       // Leaderboard
       leaderboardSection: document.getElementById('leaderboardSection'),
       leagueName: document.getElementById('leagueName'),
+      leagueSwitcher: document.getElementById('leagueSwitcher'),
       changeLeagueBtn: document.getElementById('changeLeagueBtn'),
       
       // Controls
+      monthSelectorBar: document.getElementById('monthSelectorBar'),
+      viewSwitcher: document.getElementById('viewSwitcher'),
       monthFilter: document.getElementById('monthFilter'),
+      archiveFilter: document.getElementById('archiveFilter'),
+      archiveBanner: document.getElementById('archiveBanner'),
+      h2hMatches: document.getElementById('h2hMatches'),
+      comparisonPanel: document.getElementById('comparisonPanel'),
+      myPosition: document.getElementById('myPosition'),
       
       // Gameweek
       gwNumber: document.getElementById('gwNumber'),
       gwStatus: document.getElementById('gwStatus'),
+      gameweekFilter: document.getElementById('gameweekFilter'),
       
       // Table
+      scoreHeader: document.getElementById('scoreHeader'),
       leaderboardBody: document.getElementById('leaderboardBody'),
+      managerLimitNotice: document.getElementById('managerLimitNotice'),
+      
+      // League ownership
+      ownershipSection: document.getElementById('ownershipSection'),
+      ownershipList: document.getElementById('ownershipList'),
       
       // Header
       refreshBtn: document.getElementById('refreshBtn'),
@@ -76,30 +127,276 @@ class FPLLiveTable {
     });
     
     // Change league
-    this.el.changeLeagueBtn.addEventListener('click', () => this.showSetup());
+    this.el.changeLeagueBtn.addEventListener('click', () => {
+      this.showSetup();
+      this.updateURL();
+    });
+    
+    // Saved leagues - switch from the header, or open or forget one on the setup screen
+    this.el.leagueSwitcher.addEventListener('change', (e) => {
+      if (e.target.value) this.switchLeague(e.target.value);
+    });
+    this.el.savedLeagues.addEventListener('click', (e) => {
+      const league = e.target.closest('[data-league-id]');
+      if (!league) return;
+      
+      if (e.target.closest('[data-action="remove"]')) {
+        this.forgetLeague(league.dataset.leagueId);
+      } else {
+        this.switchLeague(league.dataset.leagueId);
+      }
+    });
+    
+    // Background tabs stop refreshing, and catch up when they're shown again
+    document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+    
+    // Back/forward between table links
+    window.addEventListener('popstate', () => this.applyRoute(this.parseRoute()));
     
     // Refresh
     this.el.refreshBtn.addEventListener('click', () => this.refresh());
     
     // Month filter
-    this.el.monthFilter.addEventListener('change', (e) => {
+    this.el.monthFilter.addEventListener('change', async (e) => {
       this.currentMonth = e.target.value;
+      
+      // The server scores one month at a time
+      if (this.useServerTable) {
+        try {
+          await this.loadLeagueTable();
+        } catch (error) {
+          console.error('Failed to load month:', error);
+        }
+      }
+      
       this.renderLeaderboard();
+      this.updateSavedLeague(this.leagueId, { month: this.currentMonth });
+      this.updateURL();
+    });
+    
+    // Gameweek - the live one or any earlier one
+    this.el.gameweekFilter.addEventListener('change', async (e) => {
+      await this.showGameweek(Number(e.target.value));
+      this.updateURL();
+    });
+    
+    // Table view (Monthly / Gameweek / Overall)
+    this.el.viewSwitcher.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-view]');
+      if (button) this.setView(button.dataset.view);
+    });
+    
+    // Archived tables
+    this.el.archiveFilter.addEventListener('change', (e) => this.showArchive(e.target.value));
+    this.el.archiveBanner.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="live"]')) this.showArchive('');
+    });
+    
+    // Load the next batch of managers in a big league
+    this.el.managerLimitNotice.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="more"]')) this.loadMoreManagers();
+    });
+    
+    // Player cards open a breakdown of their points, and "This is me" picks the viewer's
+    // own entry (details rows are re-rendered, so delegate)
+    this.el.leaderboardBody.addEventListener('click', (e) => {
+      const detailsRow = e.target.closest('.player-details-row');
+      if (!detailsRow) return;
+      const entry = Number(detailsRow.dataset.managerId);
+      
+      if (e.target.closest('[data-action="me"]')) {
+        this.setMyEntry(this.myEntry === entry ? null : entry);
+        return;
+      }
+      
+      const card = e.target.closest('.player-card[data-player-id]');
+      if (card) this.toggleBreakdown(entry, Number(card.dataset.playerId));
+    });
+    
+    // Pinned position card - "Not me" forgets the viewer's entry
+    this.el.myPosition.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="me"]')) this.setMyEntry(null);
+    });
+    
+    // Manager comparison - close it, or show the players both managers count
+    this.el.comparisonPanel.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="close"]')) {
+        this.compareEntries = [];
+        this.renderLeaderboard();
+      } else if (e.target.closest('[data-action="shared"]')) {
+        this.showSharedPlayers = !this.showSharedPlayers;
+        this.renderLeaderboard();
+      }
+    });
+    
+    // Ownership rows open who gains and loses; the footer shows every player
+    this.el.ownershipList.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="all"]')) {
+        this.showAllOwnership = !this.showAllOwnership;
+        this.renderOwnership();
+        return;
+      }
+      
+      const row = e.target.closest('.ownership-row[data-player-id]');
+      if (row) this.toggleOwnership(Number(row.dataset.playerId));
     });
   }
 
   loadStoredLeague() {
-    // Use default league ID if configured, otherwise check localStorage
-    const defaultId = CONFIG.DEFAULT_LEAGUE_ID;
-    const storedId = localStorage.getItem('fpl_league_id');
-    
-    if (defaultId) {
-      this.el.leagueIdInput.value = defaultId;
-      this.loadLeague();
-    } else if (storedId) {
-      this.el.leagueIdInput.value = storedId;
-      this.loadLeague();
+    // A league in the URL wins, then the last league viewed here, then the configured default
+    const route = this.parseRoute();
+    const leagueId = route.leagueId || localStorage.getItem('fpl_league_id') || CONFIG.DEFAULT_LEAGUE_ID;
+    
+    if (leagueId) {
+      this.el.leagueIdInput.value = leagueId;
+      this.loadLeague(route);
+    } else {
+      this.renderSavedLeagues();
+    }
+  }
+
+  // Leagues opened in this browser, in the order they were added: [{ id, name, view, month }]
+  getSavedLeagues() {
+    try {
+      const leagues = JSON.parse(localStorage.getItem('fpl_leagues'));
+      return Array.isArray(leagues) ? leagues.filter(l => /^\d+$/.test(l?.id)) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Add a league to the saved list, or update what's remembered about it
+  updateSavedLeague(leagueId, changes) {
+    const leagues = this.getSavedLeagues();
+    const index = leagues.findIndex(l => l.id === leagueId);
+    
+    if (index === -1) {
+      leagues.push({ id: leagueId, ...changes });
+    } else {
+      leagues[index] = { ...leagues[index], ...changes };
+    }
+    localStorage.setItem('fpl_leagues', JSON.stringify(leagues));
+  }
+
+  forgetLeague(leagueId) {
+    const leagues = this.getSavedLeagues().filter(l => l.id !== leagueId);
+    localStorage.setItem('fpl_leagues', JSON.stringify(leagues));
+    this.renderSavedLeagues();
+  }
+
+  switchLeague(leagueId) {
+    this.el.leagueIdInput.value = leagueId;
+    this.loadLeague();
+  }
+
+  // Table view chosen on an earlier visit (head-to-head leagues always use 'h2h')
+  getSavedView() {
+    const saved = localStorage.getItem('fpl_view');
+    return TABLE_VIEWS.includes(saved) ? saved : 'monthly';
+  }
+
+  // Switch the classic table between Monthly, Gameweek and Overall, and remember it
+  setView(view) {
+    if (!TABLE_VIEWS.includes(view) || this.currentView === 'h2h') return;
+    
+    this.currentView = view;
+    localStorage.setItem('fpl_view', view);
+    this.updateSavedLeague(this.leagueId, { view });
+    this.renderLeaderboard();
+    this.updateURL();
+  }
+
+  // Remember the viewer's own entry (the same in every league), or forget it with null
+  setMyEntry(entry) {
+    this.myEntry = entry;
+    if (entry) {
+      localStorage.setItem('fpl_entry', entry);
+    } else {
+      localStorage.removeItem('fpl_entry');
     }
+    this.renderLeaderboard();
+  }
+
+  // ============================================
+  // Routing
+  // ============================================
+
+  // League, view, month, past gameweek and expanded rows from the current URL
+  parseRoute() {
+    const match = window.location.pathname.match(ROUTE_PATTERN);
+    if (!match) return {};
+    
+    const [, leagueId, month, view] = match;
+    const params = new URLSearchParams(window.location.search);
+    
+    return {
+      leagueId,
+      view: view || (match[0].includes('/month') ? 'monthly' : null),
+      month: month || null,
+      gameweek: Number(params.get('gw')) || null,
+      expand: (params.get('expand') || '').split(',').map(Number).filter(Boolean),
+    };
+  }
+
+  // URL for what's on screen - the setup screen is just /
+  buildRoute() {
+    if (!this.leagueId || this.el.leaderboardSection.style.display === 'none') return '/';
+    
+    let path = `/league/${this.leagueId}`;
+    if (this.currentView === 'monthly') {
+      if (this.currentMonth) path += `/month/${this.currentMonth}`;
+    } else if (this.currentView !== 'h2h') {
+      path += `/${this.currentView}`;
+    }
+    
+    const params = new URLSearchParams();
+    if (this.currentGameweek !== this.liveGameweek) params.set('gw', this.currentGameweek);
+    if (this.expandedRows.size > 0) params.set('expand', Array.from(this.expandedRows).sort((a, b) => a - b).join(','));
+    
+    const query = params.toString().replace(/%2C/g, ',');
+    return query ? `${path}?${query}` : path;
+  }
+
+  // Record the table shown as a new history entry (or in place, for small changes like expanding a row)
+  updateURL({ replace = false } = {}) {
+    const url = this.buildRoute();
+    if (url === window.location.pathname + window.location.search) return;
+    
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }
+
+  // Show what a URL describes after back/forward - a different league loads from scratch
+  async applyRoute(route) {
+    if (!route.leagueId) {
+      this.showSetup();
+      return;
+    }
+    
+    if (route.leagueId !== this.leagueId || this.el.leaderboardSection.style.display === 'none') {
+      this.el.leagueIdInput.value = route.leagueId;
+      await this.loadLeague(route);
+      return;
+    }
+    
+    this.expandedRows = new Set(route.expand);
+    if (route.view && this.currentView !== 'h2h') this.currentView = route.view;
+    
+    const gameweek = this.getRouteGameweek(route);
+    const month = this.availableMonths.includes(route.month) ? route.month : null;
+    if (gameweek !== this.currentGameweek || (month && month !== this.currentMonth)) {
+      await this.showGameweek(gameweek, month);
+    } else {
+      this.renderLeaderboard();
+    }
+  }
+
+  // The route's past gameweek, if it's one that has started - otherwise the live gameweek
+  getRouteGameweek(route) {
+    return route.gameweek >= 1 && route.gameweek <= this.liveGameweek ? route.gameweek : this.liveGameweek;
   }
 
   // ============================================
@@ -113,7 +410,15 @@ class FPLLiveTable {
       const response = await fetch(url);
       
       if (!response.ok) {
-        throw new Error(`API error: ${response.status} ${response.statusText}`);
+        const error = new Error(`API error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+      
+      // FPL is unavailable (e.g. "the game is being updated") - the proxy sent its last good copy
+      if (response.headers.get('X-Cache') === 'STALE') {
+        const age = Number(response.headers.get('X-Data-Age')) || 0;
+        this.staleDataAge = Math.max(this.staleDataAge, age);
       }
       
       return await response.json();
@@ -169,18 +474,60 @@ class FPLLiveTable {
     return this.fetchWithCache(
       `/event/${gameweek}/live/`,
       `live-${gameweek}`,
-      CONFIG.CACHE.LIVE_DATA
+      this.getGameweekTTL(gameweek)
     );
   }
 
-  async fetchLeagueStandings(leagueId) {
+  // One page (50 managers) of a league's standings - type is 'classic' or 'h2h'
+  async fetchLeagueStandings(leagueId, page = 1, type = 'classic') {
     return this.fetchWithCache(
-      `/leagues-classic/${leagueId}/standings/`,
-      `standings-${leagueId}`,
+      `/leagues-${type}/${leagueId}/standings/?page_standings=${page}`,
+      `standings-${leagueId}-${type}-${page}`,
       CONFIG.CACHE.STANDINGS
     );
   }
 
+  // Follow has_next until `limit` managers or the last page, merged into one standings object
+  async fetchAllStandings(leagueId, limit, type = 'classic') {
+    const results = [];
+    let page = 0;
+    let data;
+    
+    do {
+      page++;
+      this.setLoadingMessage(`Fetching standings (page ${page})...`);
+      data = await this.fetchLeagueStandings(leagueId, page, type);
+      results.push(...data.standings.results);
+    } while (data.standings.has_next && results.length < limit);
+    
+    this.hasMoreManagers = data.standings.has_next || results.length > limit;
+    
+    return { ...data, standings: { ...data.standings, results: results.slice(0, limit) } };
+  }
+
+  // One page of a head-to-head league's match-ups for a gameweek
+  async fetchH2HMatches(leagueId, gameweek, page = 1) {
+    return this.fetchWithCache(
+      `/leagues-h2h-matches/league/${leagueId}/?event=${gameweek}&page=${page}`,
+      `h2h-matches-${leagueId}-${gameweek}-${page}`,
+      this.getGameweekTTL(gameweek)
+    );
+  }
+
+  async fetchAllH2HMatches(leagueId, gameweek) {
+    const matches = [];
+    let page = 0;
+    let data;
+    
+    do {
+      page++;
+      data = await this.fetchH2HMatches(leagueId, gameweek, page);
+      matches.push(...data.results);
+    } while (data.has_next);
+    
+    return matches;
+  }
+
   async fetchManagerHistory(managerId) {
     return this.fetchWithCache(
       `/entry/${managerId}/history/`,
@@ -193,6 +540,39 @@ class FPLLiveTable {
     return this.fetchWithCache(
       `/entry/${managerId}/event/${gameweek}/picks/`,
       `picks-${managerId}-${gameweek}`,
+      this.getGameweekTTL(gameweek)
+    );
+  }
+
+  // Live data, picks and match-ups of a finished gameweek never change, so they're kept for good
+  getGameweekTTL(gameweek) {
+    return this.isGameweekFinished(gameweek) ? Infinity : CONFIG.CACHE.LIVE_DATA;
+  }
+
+  // Archived snapshots from our own server - a snapshot never changes once written
+  async fetchArchiveList(leagueId) {
+    return this.fetchWithCache(
+      `/archive/league/${leagueId}`,
+      `archive-${leagueId}`,
+      CONFIG.CACHE.STANDINGS
+    );
+  }
+
+  async fetchArchiveSnapshot(leagueId, type, key) {
+    return this.fetchWithCache(
+      `/archive/league/${leagueId}/${type}/${key}`,
+      `archive-${leagueId}-${type}-${key}`,
+      Infinity
+    );
+  }
+
+  // Scored league table from our own server (not an FPL endpoint)
+  async fetchLeagueTable(leagueId, month, limit) {
+    const query = new URLSearchParams({ limit });
+    if (month) query.set('month', month);
+    return this.fetchWithCache(
+      `/league/${leagueId}/live?${query}`,
+      `league-table-${leagueId}-${month}-${limit}`,
       CONFIG.CACHE.LIVE_DATA
     );
   }
@@ -201,7 +581,8 @@ class FPLLiveTable {
   // Main Actions
   // ============================================
 
-  async loadLeague() {
+  // Load the league in the input - route (from the URL) picks the view, month, gameweek and expanded rows
+  async loadLeague(route = null) {
     const leagueId = this.el.leagueIdInput.value.trim();
     
     if (!leagueId) {
@@ -212,44 +593,65 @@ class FPLLiveTable {
     this.leagueId = leagueId;
     localStorage.setItem('fpl_league_id', leagueId);
     
+    // View and month this league was last looked at with (a link's own view and month win)
+    const saved = this.getSavedLeagues().find(l => l.id === leagueId);
+    
     this.showLoading();
+    this.staleDataAge = 0;
+    this.useServerTable = CONFIG.SERVER_TABLE;
+    this.archiveView = null;
+    this.managerLimit = CONFIG.MAX_MANAGERS;
+    this.leagueType = null;
+    this.currentView = route?.view || (TABLE_VIEWS.includes(saved?.view) ? saved.view : this.getSavedView());
+    this.expandedRows = new Set(route?.expand);
+    this.compareEntries = [];
+    this.h2hMatches = [];
     
     try {
       // Fetch all required data in parallel
-      const [bootstrap, fixtures, eventStatus, standings] = await Promise.all([
+      const [bootstrap, fixtures, eventStatus] = await Promise.all([
         this.fetchBootstrap(),
         this.fetchFixtures(),
         this.fetchEventStatus(),
-        this.fetchLeagueStandings(leagueId),
       ]);
       
       // Store player data for lookups
       this.players = new Map(bootstrap.elements.map(p => [p.id, p]));
       this.teams = new Map(bootstrap.teams.map(t => [t.id, t]));
       this.events = bootstrap.events;
+      this.phases = bootstrap.phases || [];
+      this.chips = bootstrap.chips || [];
+      this.buildChipDefinitions(this.chips);
       this.fixtures = fixtures;
       
       // Determine current gameweek
-      this.currentGameweek = this.getCurrentGameweek(eventStatus, bootstrap.events);
+      this.liveGameweek = this.getCurrentGameweek(eventStatus, bootstrap.events);
+      this.currentGameweek = route ? this.getRouteGameweek(route) : this.liveGameweek;
+      this.buildGameweekOptions();
       
-      // Build gameweek → date mapping
+      // Build gameweek → date and month → gameweeks mappings
       this.buildGameweekDates(fixtures);
       
       // Build month options
       this.buildMonthOptions();
+      const month = [route?.month, saved?.month].find(m => this.availableMonths.includes(m));
+      if (month) {
+        this.currentMonth = month;
+        this.el.monthFilter.value = month;
+      }
       
       // Fetch live data for current gameweek
       const liveData = await this.fetchLiveData(this.currentGameweek);
       this.liveData = liveData;
       
-      // Fetch manager data
-      await this.fetchManagerData(standings.standings.results);
+      // Fetch standings and score the league
+      await this.loadLeagueTable();
       
-      // Store standings
-      this.standings = standings;
+      // Save the league under its name, for the switcher
+      this.updateSavedLeague(leagueId, { name: this.standings.league.name });
       
       // Update UI
-      this.updateLeagueInfo(standings);
+      this.updateLeagueInfo(this.standings);
       this.renderLeaderboard();
       this.renderFixtures();
       
@@ -257,12 +659,19 @@ class FPLLiveTable {
       this.el.setupSection.style.display = 'none';
       this.el.leaderboardSection.style.display = 'block';
       
-      // Start auto-refresh
+      // Archived tables for this league (server only - loads in the background)
+      this.loadArchiveList();
+      
+      // Start auto-refresh, then hand over to the live stream once it connects
       this.startAutoRefresh();
+      this.startLiveStream();
       
       // Update timestamp
       this.updateTimestamp();
       
+      // A league opened from a link keeps its history entry; one typed in gets a new one
+      this.updateURL({ replace: Boolean(route) });
+      
     } catch (error) {
       console.error('Failed to load league:', error);
       this.showError('Failed to load league. Please check the League ID and try again.');
@@ -272,38 +681,68 @@ class FPLLiveTable {
   async refresh() {
     if (!this.leagueId) return;
     
+    // One refresh at a time - an update that arrives mid-refresh runs straight after
+    if (this.isRefreshing) {
+      this.refreshQueued = true;
+      return;
+    }
+    this.isRefreshing = true;
+    
     // Add spinning animation to refresh button
     this.el.refreshBtn.classList.add('refreshing');
+    this.staleDataAge = 0;
     
     try {
+      const gameweek = this.currentGameweek;
+      
       // Clear cache for live data
-      this.cache.delete(`live-${this.currentGameweek}`);
-      this.cache.delete(`standings-${this.leagueId}`);
+      this.clearCachePrefix(`standings-${this.leagueId}-`);
+      this.cache.delete(`league-table-${this.leagueId}-${this.currentMonth}-${this.managerLimit}`);
       this.cache.delete('event-status');
       this.cache.delete('fixtures'); // Clear fixtures cache to get live scores
       
-      // Clear manager picks cache
-      if (this.standings?.standings?.results) {
-        this.standings.standings.results.forEach(m => {
-          this.cache.delete(`picks-${m.entry}-${this.currentGameweek}`);
-        });
+      // Clear live data, match-ups and manager picks - unless the gameweek shown has finished
+      if (!this.isGameweekFinished(gameweek)) {
+        this.cache.delete(`live-${gameweek}`);
+        this.clearCachePrefix(`h2h-matches-${this.leagueId}-${gameweek}-`);
+        
+        if (this.standings?.standings?.results) {
+          this.standings.standings.results.forEach(m => {
+            this.cache.delete(`picks-${m.entry}-${gameweek}`);
+          });
+        }
       }
       
       // Re-fetch live data including fixtures for live scores
-      const [eventStatus, standings, liveData, fixtures] = await Promise.all([
+      const [eventStatus, liveData, fixtures] = await Promise.all([
         this.fetchEventStatus(),
-        this.fetchLeagueStandings(this.leagueId),
-        this.fetchLiveData(this.currentGameweek),
+        this.fetchLiveData(gameweek),
         this.fetchFixtures(), // Re-fetch fixtures for live match scores
       ]);
       
-      this.currentGameweek = this.getCurrentGameweek(eventStatus, this.events);
-      this.liveData = liveData;
-      this.standings = standings;
+      // Another gameweek was picked mid-refresh - showGameweek loads that one
+      if (this.currentGameweek !== gameweek) return;
+      
       this.fixtures = fixtures; // Update fixtures with live scores
       
-      // Re-fetch manager data
-      await this.fetchManagerData(standings.standings.results);
+      // Follow the live gameweek when it moves on, unless looking back at a past one -
+      // the live data fetched above is the old gameweek's, so load the new one's
+      const liveGameweek = this.getCurrentGameweek(eventStatus, this.events);
+      if (liveGameweek !== this.liveGameweek) {
+        const followLive = gameweek === this.liveGameweek;
+        this.liveGameweek = liveGameweek;
+        this.buildGameweekOptions();
+        
+        if (followLive) {
+          await this.showGameweek(liveGameweek);
+          this.updateTimestamp();
+          return;
+        }
+      }
+      this.liveData = liveData;
+      
+      // Re-fetch standings and manager data
+      await this.loadLeagueTable();
       
       // Re-render
       this.renderLeaderboard();
@@ -314,9 +753,121 @@ class FPLLiveTable {
       console.error('Refresh failed:', error);
     } finally {
       this.el.refreshBtn.classList.remove('refreshing');
+      this.isRefreshing = false;
+      
+      if (this.refreshQueued) {
+        this.refreshQueued = false;
+        this.refresh();
+      }
     }
   }
 
+  // Load the scored league table from the server, or standings + manager data to score locally
+  async loadLeagueTable() {
+    if (this.leagueType === 'h2h') {
+      return this.loadH2HTable();
+    }
+    
+    // The server only scores the live gameweek - a past one is scored here
+    if (this.useServerTable && this.currentGameweek === this.liveGameweek) {
+      try {
+        this.setLoadingMessage('Scoring league...');
+        const table = await this.fetchLeagueTable(this.leagueId, this.currentMonth, this.managerLimit);
+        
+        this.serverTable = table;
+        this.leagueType = 'classic';
+        // The server scores at most its own maximum - past that there's nothing more to load
+        const atServerMax = table.limit < this.managerLimit || table.limit >= table.maxLimit;
+        this.hasMoreManagers = table.hasMore && !atServerMax;
+        this.managerLimit = Math.min(this.managerLimit, table.limit);
+        this.standings = { league: table.league, standings: { results: table.rows } };
+        this.managerData = new Map(table.rows.map(row => [row.entry, { picks: row.picks }]));
+        return;
+      } catch (error) {
+        // No league route on this deployment (e.g. a plain FPL proxy) - score in the browser
+        // (a league that really doesn't exist will 404 again below)
+        if (error.status !== 404) throw error;
+        console.warn('[FPL] Server league table unavailable, scoring in the browser');
+        this.useServerTable = false;
+      }
+    }
+    
+    this.serverTable = null;
+    
+    let standings;
+    try {
+      standings = await this.fetchAllStandings(this.leagueId, this.managerLimit);
+    } catch (error) {
+      // FPL 404s classic standings for a head-to-head league (the server table only does classic)
+      if (error.status !== 404 || this.leagueType === 'classic') throw error;
+      console.warn('[FPL] Not a classic league, trying head-to-head');
+      this.leagueType = 'h2h';
+      return this.loadH2HTable();
+    }
+    
+    this.leagueType = 'classic';
+    await this.fetchManagerData(standings.standings.results);
+    this.standings = standings;
+  }
+
+  // Head-to-head league: standings plus this gameweek's match-ups, scored in the browser
+  async loadH2HTable() {
+    this.serverTable = null;
+    
+    const [standings, matches] = await Promise.all([
+      this.fetchAllStandings(this.leagueId, this.managerLimit, 'h2h'),
+      this.fetchAllH2HMatches(this.leagueId, this.currentGameweek),
+    ]);
+    
+    await this.fetchManagerData(standings.standings.results);
+    this.standings = standings;
+    this.h2hMatches = matches;
+    this.currentView = 'h2h';
+  }
+
+  // Score the next CONFIG.MAX_MANAGERS managers down the overall standings
+  async loadMoreManagers() {
+    this.managerLimit += CONFIG.MAX_MANAGERS;
+    this.showLoading();
+    
+    try {
+      await this.loadLeagueTable();
+      this.renderLeaderboard();
+    } catch (error) {
+      console.error('Failed to load more managers:', error);
+      this.showError('Failed to load more managers. Please try again.');
+    }
+  }
+
+  // Show a past gameweek's table, player details and fixtures - or the live gameweek again.
+  // The monthly table follows the month that gameweek was in, unless given one.
+  async showGameweek(gameweek, month = null) {
+    this.currentGameweek = gameweek || this.liveGameweek;
+    this.el.gameweekFilter.value = this.currentGameweek;
+    this.showLoading();
+    
+    try {
+      this.liveData = await this.fetchLiveData(this.currentGameweek);
+      
+      this.currentMonth = month || FPLScoring.getMonthForGameweek(this.monthGameweeks, this.currentGameweek) || this.currentMonth;
+      this.el.monthFilter.value = this.currentMonth;
+      
+      await this.loadLeagueTable();
+      this.renderLeaderboard();
+      this.renderFixtures();
+    } catch (error) {
+      console.error('Failed to load gameweek:', error);
+      this.showError(`Failed to load gameweek ${this.currentGameweek}. Please try again.`);
+    }
+  }
+
+  // Drop every cached response whose key starts with prefix (e.g. all standings pages)
+  clearCachePrefix(prefix) {
+    Array.from(this.cache.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.cache.delete(key));
+  }
+
   async fetchManagerData(managers) {
     const batchSize = CONFIG.MAX_CONCURRENT_REQUESTS || 10;
     this.managerData = new Map();
@@ -324,6 +875,7 @@ class FPLLiveTable {
     // Fetch in batches to avoid overwhelming the API
     for (let i = 0; i < managers.length; i += batchSize) {
       const batch = managers.slice(i, i + batchSize);
+      this.setLoadingMessage(`Fetching managers (${i}/${managers.length})...`);
       
       await Promise.all(batch.map(async (manager) => {
         try {
@@ -344,582 +896,146 @@ class FPLLiveTable {
   // Data Processing
   // ============================================
 
+  // Scoring context for the current gameweek (rebuilt only when its inputs change)
+  getScoringContext() {
+    const ctx = this.scoringContext;
+    if (!ctx || ctx.liveData !== this.liveData || ctx.fixtures !== this.fixtures ||
+        ctx.players !== this.players || ctx.gameweek !== this.currentGameweek) {
+      this.scoringContext = FPLScoring.createContext({
+        players: this.players,
+        liveData: this.liveData,
+        fixtures: this.fixtures,
+        gameweek: this.currentGameweek,
+        chips: this.chips,
+      });
+    }
+    return this.scoringContext;
+  }
+
+  // League ownership of every picked player, plus a lookup by player id
+  // (rebuilt only when the picks or the scoring context change)
+  getLeagueOwnership() {
+    const context = this.getScoringContext();
+    const cached = this.leagueOwnership;
+    if (!cached || cached.managerData !== this.managerData || cached.context !== context) {
+      const players = FPLScoring.calculateOwnership(
+        this.standings?.standings?.results || [],
+        this.managerData || new Map(),
+        context
+      );
+      this.leagueOwnership = {
+        managerData: this.managerData,
+        context,
+        players,
+        byId: new Map(players.map(p => [p.id, p])),
+      };
+    }
+    return this.leagueOwnership;
+  }
+
   getCurrentGameweek(eventStatus, events) {
-    // Try to find active gameweek from status
-    const active = eventStatus?.status?.find(s => s.event);
-    if (active) return active.event;
-    
-    // Fallback: find current gameweek from events
-    const now = new Date();
-    const currentEvent = events?.find(e => {
-      const deadline = new Date(e.deadline_time);
-      return e.is_current || (deadline > now && e.is_next);
-    });
-    
-    return currentEvent?.id || 1;
+    return FPLScoring.getCurrentGameweek(eventStatus, events);
   }
 
   buildGameweekDates(fixtures) {
-    this.gameweekDates.clear();
-    
-    fixtures.forEach(fixture => {
-      if (fixture.event && fixture.kickoff_time) {
-        const gw = fixture.event;
-        const date = new Date(fixture.kickoff_time);
-        
-        // Store earliest kickoff for each gameweek
-        if (!this.gameweekDates.has(gw) || date < this.gameweekDates.get(gw)) {
-          this.gameweekDates.set(gw, date);
-        }
-      }
-    });
+    this.gameweekDates = FPLScoring.buildGameweekDates(fixtures);
+    this.monthGameweeks = FPLScoring.buildMonthGameweeks(this.gameweekDates, this.phases);
   }
 
   buildMonthOptions() {
-    const months = new Map();
-    
-    // Add months from gameweeks
-    this.gameweekDates.forEach((date, gw) => {
-      const key = `${date.getFullYear()}-${String(date.getMonth()).padStart(2, '0')}`;
-      if (!months.has(key)) {
-        months.set(key, date);
-      }
-    });
+    const { months, defaultMonth } = FPLScoring.buildMonths(this.monthGameweeks, this.currentGameweek);
     
-    // Sort chronologically (keys are now YYYY-MM format for correct sorting)
-    this.availableMonths = Array.from(months.keys()).sort();
-    
-    // Default to the month containing the CURRENT GAMEWEEK (not calendar month)
-    // This ensures the monthly leaderboard shows the active competition
-    const currentGwDate = this.gameweekDates.get(this.currentGameweek);
-    let defaultMonth = null;
-    
-    if (currentGwDate) {
-      defaultMonth = `${currentGwDate.getFullYear()}-${String(currentGwDate.getMonth()).padStart(2, '0')}`;
-    }
-    
-    // Fall back to most recent month if current GW month not found
-    this.currentMonth = (defaultMonth && this.availableMonths.includes(defaultMonth))
-      ? defaultMonth
-      : this.availableMonths[this.availableMonths.length - 1];
+    this.availableMonths = months;
+    this.currentMonth = defaultMonth;
     
     // Populate dropdown (month name only, no year)
     this.el.monthFilter.innerHTML = '';
     this.availableMonths.forEach(key => {
-      const [year, month] = key.split('-').map(Number);
-      const label = new Date(year, month).toLocaleDateString('en-GB', { 
-        month: 'long'
-      });
-      
       const option = document.createElement('option');
       option.value = key;
-      option.textContent = label;
+      option.textContent = this.formatMonth(key);
       option.selected = key === this.currentMonth;
       
       this.el.monthFilter.appendChild(option);
     });
   }
 
-  getGameweeksForMonth(monthKey) {
-    if (!monthKey) {
-      console.warn('[FPL] getGameweeksForMonth called with empty monthKey');
-      return [];
-    }
-    
-    const [year, month] = monthKey.split('-').map(Number);
-    const gameweeks = [];
-    
-    this.gameweekDates.forEach((date, gw) => {
-      if (date.getFullYear() === year && date.getMonth() === month) {
-        gameweeks.push(gw);
-      }
-    });
-    
-    return gameweeks.sort((a, b) => a - b);
-  }
-
-  calculateScores() {
-    if (!this.standings?.standings?.results) return [];
-    
-    const monthGameweeks = this.getGameweeksForMonth(this.currentMonth);
-    
-    // First pass: calculate all scores
-    const scores = this.standings.standings.results.map(manager => {
-      const data = this.managerData.get(manager.entry);
-      if (!data) {
-        return {
-          ...manager,
-          gameweekPoints: 0,
-          monthlyPoints: 0,
-          previousMonthlyPoints: 0,
-          playedPlayers: 0,
-          maxPlayers: 11,
-          captain: null,
-          captainPlayed: false,
-          activeChip: null,
-          livePoints: 0,
-          picks: null,
-        };
-      }
-      
-      // Calculate live score (includes bonus points)
-      const liveInfo = this.calculateLiveInfo(data.picks);
-      
-      // Use live calculated points for current gameweek (more accurate during live matches)
-      const gameweekPoints = liveInfo.livePoints;
-      
-      // Monthly points: sum historical GWs in month (excluding current) + current live points
-      let monthlyPointsBeforeCurrentGW = 0;
-      if (data.history?.current) {
-        data.history.current.forEach(h => {
-          // Only add historical points for GWs in this month that aren't the current one
-          if (monthGameweeks.includes(h.event) && h.event !== this.currentGameweek) {
-            monthlyPointsBeforeCurrentGW += h.points;
-          }
-        });
-      }
-      
-      // Calculate current monthly total
-      let monthlyPoints = monthlyPointsBeforeCurrentGW;
-      if (monthGameweeks.includes(this.currentGameweek)) {
-        monthlyPoints += gameweekPoints;
-      }
-      
-      return {
-        ...manager,
-        gameweekPoints,
-        monthlyPoints,
-        previousMonthlyPoints: monthlyPointsBeforeCurrentGW, // Points before current GW
-        playedPlayers: liveInfo.played,
-        maxPlayers: liveInfo.maxPlayers || 11,
-        captain: liveInfo.captainName,
-        captainPlayed: liveInfo.captainPlayed,
-        activeChip: liveInfo.activeChip,
-        livePoints: liveInfo.livePoints,
-        picks: data.picks, // Store picks for player detail view
-      };
-    });
-    
-    return scores;
-  }
-
-  calculatePositionChanges(scores) {
-    // Sort by current monthly points to get current positions
-    const currentSorted = [...scores].sort((a, b) => {
-      if (b.monthlyPoints !== a.monthlyPoints) return b.monthlyPoints - a.monthlyPoints;
-      if (b.gameweekPoints !== a.gameweekPoints) return b.gameweekPoints - a.gameweekPoints;
-      return b.total - a.total;
-    });
-    
-    // Sort by previous monthly points (before current GW) to get previous positions
-    const previousSorted = [...scores].sort((a, b) => {
-      if (b.previousMonthlyPoints !== a.previousMonthlyPoints) return b.previousMonthlyPoints - a.previousMonthlyPoints;
-      return b.total - a.total;
-    });
-    
-    // Create position maps
-    const currentPositions = new Map();
-    currentSorted.forEach((m, idx) => currentPositions.set(m.entry, idx + 1));
-    
-    const previousPositions = new Map();
-    previousSorted.forEach((m, idx) => previousPositions.set(m.entry, idx + 1));
-    
-    // Calculate position change for each manager
-    return scores.map(manager => {
-      const currentPos = currentPositions.get(manager.entry);
-      const previousPos = previousPositions.get(manager.entry);
-      const positionChange = previousPos - currentPos; // Positive = moved up, Negative = moved down
-      
-      return {
-        ...manager,
-        currentPosition: currentPos,
-        previousPosition: previousPos,
-        positionChange: positionChange,
-      };
-    });
-  }
-
-  // Calculate provisional bonus from BPS scores for each fixture
-  calculateProvisionalBonus() {
-    if (!this.fixtures || !this.liveData?.elements || !this.players) {
-      return new Map();
-    }
-    
-    const bonusMap = new Map(); // playerId -> provisional bonus points
-    
-    // Get current GW fixtures that have started
-    const gwFixtures = this.fixtures.filter(f => 
-      f.event === this.currentGameweek && f.started
-    );
-    
-    gwFixtures.forEach(fixture => {
-      // Find all players in this fixture (by team)
-      const playersInFixture = [];
-      
-      this.liveData.elements.forEach(element => {
-        const player = this.players.get(element.id);
-        if (player && (player.team === fixture.team_h || player.team === fixture.team_a)) {
-          // Only include players who have played (minutes > 0)
-          if (element.stats?.minutes > 0) {
-            playersInFixture.push({
-              id: element.id,
-              bps: element.stats?.bps || 0,
-              name: player.web_name
-            });
-          }
-        }
-      });
-      
-      // Sort by BPS descending
-      playersInFixture.sort((a, b) => b.bps - a.bps);
-      
-      // Award bonus points (3, 2, 1) with tie handling
-      // FPL rules: tied players share same bonus, next position(s) skipped
-      // - Two tied 1st: both get 3, next gets 1
-      // - Two tied 2nd: 1st gets 3, both get 2, no 3rd
-      // - Two tied 3rd: 1st gets 3, 2nd gets 2, BOTH get 1 (4 players can get bonus)
-      if (playersInFixture.length > 0) {
-        let position = 1; // Track position (1st, 2nd, 3rd)
-        let i = 0;
-        
-        while (i < playersInFixture.length && position <= 3) {
-          const currentBps = playersInFixture[i].bps;
-          
-          // Find all players tied at this BPS
-          const tiedPlayers = [];
-          while (i < playersInFixture.length && playersInFixture[i].bps === currentBps) {
-            tiedPlayers.push(playersInFixture[i]);
-            i++;
-          }
-          
-          // Calculate bonus for this position (3 for 1st, 2 for 2nd, 1 for 3rd)
-          const bonus = 4 - position; // position 1 = 3pts, position 2 = 2pts, position 3 = 1pt
-          
-          // All tied players get the same bonus
-          tiedPlayers.forEach(p => {
-            bonusMap.set(p.id, bonus);
-          });
-          
-          // Move position forward by number of tied players
-          position += tiedPlayers.length;
-        }
-      }
-    });
-    
-    return bonusMap;
-  }
-
-  // Calculate auto-subs locally when FPL API hasn't processed them yet
-  calculateLocalAutoSubs(picks) {
-    if (!picks?.picks || !this.liveData?.elements || !this.fixtures || !this.players) {
-      return [];
-    }
-    
-    // If FPL has already processed auto-subs, use those
-    if (picks.automatic_subs && picks.automatic_subs.length > 0) {
-      return picks.automatic_subs;
-    }
-    
-    const autoSubs = [];
-    const starting = picks.picks.slice(0, 11);
-    const bench = picks.picks.slice(11); // Positions 12-15 (indices 0-3 in bench array)
-    
-    // Track which bench players have been used
-    const usedBenchPlayers = new Set();
-    
-    // Track current formation counts (after subs)
-    // Position: 1=GK, 2=DEF, 3=MID, 4=FWD
-    const formationCount = { 1: 0, 2: 0, 3: 0, 4: 0 };
-    
-    // Count current playing formation (players with minutes > 0 or fixture not finished)
-    starting.forEach(pick => {
-      const player = this.players.get(pick.element);
-      const liveElement = this.liveData.elements.find(e => e.id === pick.element);
-      const minutes = liveElement?.stats?.minutes || 0;
-      
-      // Check if fixture is finished
-      const playerFixture = this.fixtures.find(f => 
-        f.event === this.currentGameweek && 
-        player && (f.team_h === player.team || f.team_a === player.team)
-      );
-      const fixtureFinished = playerFixture?.finished || playerFixture?.finished_provisional;
-      
-      // Player needs sub if: 0 minutes AND fixture finished
-      const needsSub = minutes === 0 && fixtureFinished;
-      
-      if (!needsSub && player) {
-        formationCount[player.element_type] = (formationCount[player.element_type] || 0) + 1;
-      }
-    });
-    
-    // Process each starting player that needs a sub
-    for (const pick of starting) {
-      const player = this.players.get(pick.element);
-      if (!player) continue;
-      
-      const liveElement = this.liveData.elements.find(e => e.id === pick.element);
-      const minutes = liveElement?.stats?.minutes || 0;
-      
-      // Check if fixture is finished
-      const playerFixture = this.fixtures.find(f => 
-        f.event === this.currentGameweek && 
-        (f.team_h === player.team || f.team_a === player.team)
-      );
-      const fixtureFinished = playerFixture?.finished || playerFixture?.finished_provisional;
-      
-      // Skip if player doesn't need a sub
-      if (minutes > 0 || !fixtureFinished) continue;
+  // Gameweek dropdown - the live gameweek, then every one before it
+  buildGameweekOptions() {
+    this.el.gameweekFilter.innerHTML = '';
+    for (let gameweek = this.liveGameweek; gameweek >= 1; gameweek--) {
+      const option = document.createElement('option');
+      option.value = gameweek;
+      option.textContent = gameweek === this.liveGameweek ? `GW${gameweek} (current)` : `GW${gameweek}`;
+      option.selected = gameweek === this.currentGameweek;
       
-      // Find a valid bench replacement
-      for (let i = 0; i < bench.length; i++) {
-        const benchPick = bench[i];
-        if (usedBenchPlayers.has(benchPick.element)) continue;
-        
-        const benchPlayer = this.players.get(benchPick.element);
-        if (!benchPlayer) continue;
-        
-        // Check if bench player's fixture has started (they need to have data)
-        const benchFixture = this.fixtures.find(f => 
-          f.event === this.currentGameweek && 
-          (f.team_h === benchPlayer.team || f.team_a === benchPlayer.team)
-        );
-        const benchFixtureStarted = benchFixture?.started;
-        
-        // Bench player must have their fixture started to be eligible
-        if (!benchFixtureStarted) continue;
-        
-        // GK Rule: GK can only be replaced by GK (and vice versa)
-        const isStartingGK = player.element_type === 1;
-        const isBenchGK = benchPlayer.element_type === 1;
-        
-        if (isStartingGK && !isBenchGK) continue; // Starting GK needs bench GK
-        if (!isStartingGK && isBenchGK) continue; // Outfield can't use bench GK
-        
-        // Formation check for outfield players
-        if (!isStartingGK) {
-          // Check if adding this bench player would result in a valid formation
-          // Current formationCount = players who ARE playing (not needing subs)
-          // We need to check: after adding benchPlayer, do we meet minimums?
-          
-          const newFormation = { ...formationCount };
-          newFormation[benchPlayer.element_type] = (newFormation[benchPlayer.element_type] || 0) + 1;
-          
-          // Minimum requirements: 3 DEF, (no explicit min MID/FWD but implied 1 each)
-          // The key rule: If we're below 3 DEF, we can ONLY accept a DEF
-          if (formationCount[2] < 3 && benchPlayer.element_type !== 2) {
-            continue; // Need a DEF to reach minimum, this isn't one
-          }
-          
-          // Also check we don't exceed maximums (5 MID, 3 FWD typically)
-          // These are rarely hit but let's be safe
-          if (newFormation[3] > 5) continue; // Max 5 MID
-          if (newFormation[4] > 3) continue; // Max 3 FWD
-        }
-        
-        // Valid sub found!
-        
-        autoSubs.push({
-          element_in: benchPick.element,
-          element_out: pick.element,
-          entry: picks.entry,
-          event: this.currentGameweek
-        });
-        
-        // Update tracking
-        usedBenchPlayers.add(benchPick.element);
-        
-        // Update formation count with the new player
-        formationCount[benchPlayer.element_type] = (formationCount[benchPlayer.element_type] || 0) + 1;
-        
-        break; // Move to next starting player that needs sub
-      }
+      this.el.gameweekFilter.appendChild(option);
     }
-    
-    return autoSubs;
   }
 
-  calculateLiveInfo(picks) {
-    if (!picks?.picks || !this.liveData?.elements) {
-      return { played: 0, captainName: null, captainPlayed: false, bonusPoints: 0, activeChip: null, livePoints: 0 };
-    }
-    
-    // Calculate provisional bonus from BPS
-    const provisionalBonus = this.calculateProvisionalBonus();
-    
-    let played = 0;
-    let captainName = null;
-    let captainPlayed = false;
-    let livePoints = 0;
-    
-    // Check for active chip
-    const activeChip = picks.active_chip; // 'bboost', '3xc', 'freehit', 'wildcard'
-    const isBenchBoost = activeChip === 'bboost';
-    
-    // Process automatic substitutions - use local calculation if API hasn't processed yet
-    const autoSubs = this.calculateLocalAutoSubs(picks);
-    const subbedOut = new Set(autoSubs.map(sub => sub.element_out));
-    const subbedIn = new Set(autoSubs.map(sub => sub.element_in));
-    
-    // Determine which players are actually playing (accounting for auto-subs)
-    const activePicks = picks.picks.map((pick, index) => {
-      const isStarting = index < 11;
-      const wasSubbedOut = subbedOut.has(pick.element);
-      const wasSubbedIn = subbedIn.has(pick.element);
-      
-      // Player is active if:
-      // - They're in starting 11 and NOT subbed out, OR
-      // - They're on bench and were subbed in, OR
-      // - Bench Boost is active and they're on bench
-      const isActive = (isStarting && !wasSubbedOut) || 
-                       wasSubbedIn || 
-                       (isBenchBoost && index >= 11);
-      
-      return { ...pick, isActive, wasSubbedIn, wasSubbedOut };
-    });
-    
-    // Calculate points and played count
-    activePicks.forEach(pick => {
-      if (!pick.isActive) return;
-      
-      const liveElement = this.liveData.elements.find(e => e.id === pick.element);
-      const hasPlayed = liveElement?.stats?.minutes > 0;
-      
-      // Get base points from API
-      const basePoints = liveElement?.stats?.total_points || 0;
-      const apiBonus = liveElement?.stats?.bonus || 0;
-      
-      // IMPORTANT: Once FPL confirms bonus, total_points ALREADY includes it
-      // So we only add our provisional calculation when API bonus is still 0
-      const calcBonus = provisionalBonus.get(pick.element) || 0;
-      const bonusToAdd = apiBonus > 0 ? 0 : calcBonus; // Don't double-count official bonus
-      
-      const points = basePoints + bonusToAdd;
-      
-      if (hasPlayed) {
-        played++;
-        // Apply multiplier (1 for normal, 2 for captain, 3 for triple captain)
-        // For subbed-in players, use multiplier of 1 (bench players have multiplier 0 in API)
-        const effectiveMultiplier = pick.wasSubbedIn ? 1 : pick.multiplier;
-        livePoints += points * effectiveMultiplier;
-      }
-      
-      // Check if captain
-      if (pick.is_captain) {
-        const player = this.players.get(pick.element);
-        captainName = player?.web_name || 'Unknown';
-        captainPlayed = hasPlayed;
-      }
-    });
+  getGameweeksForMonth(monthKey) {
+    if (!monthKey) {
+      console.warn('[FPL] getGameweeksForMonth called with empty monthKey');
+      return [];
+    }
     
-    // For bench boost, count all 15 potential players
-    const maxPlayers = isBenchBoost ? 15 : 11;
-    
-    return { 
-      played, 
-      maxPlayers,
-      captainName, 
-      captainPlayed, 
-      bonusPoints: 0, 
-      activeChip,
-      livePoints,
-    };
+    return FPLScoring.getGameweeksForMonth(this.monthGameweeks, monthKey);
   }
 
-  // Get detailed player info for a manager's picks
-  getPlayerDetails(picks) {
-    if (!picks?.picks) return { starting: [], bench: [], activeChip: null };
-    
-    const activeChip = picks.active_chip;
-    const isBenchBoost = activeChip === 'bboost';
+  calculateScores() {
+    if (!this.standings?.standings?.results) return [];
     
-    // Calculate provisional bonus from BPS
-    const provisionalBonus = this.calculateProvisionalBonus();
+    return FPLScoring.calculateScores(
+      this.standings.standings.results,
+      this.managerData,
+      this.getGameweeksForMonth(this.currentMonth),
+      this.getScoringContext()
+    );
+  }
+
+  calculatePositionChanges(scores) {
+    return FPLScoring.calculatePositionChanges(scores, this.currentView);
+  }
+
+  // Live match-ups and the projected table for a head-to-head league
+  calculateH2HTable(scores) {
+    const gameweekPoints = new Map(scores.map(s => [s.entry, s.gameweekPoints]));
+    const averagePoints = this.events?.find(e => e.id === this.currentGameweek)?.average_entry_score || 0;
+    const matchUps = FPLScoring.calculateH2HMatches(this.h2hMatches, gameweekPoints, averagePoints);
     
-    // Process automatic substitutions - use local calculation if API hasn't processed yet
-    const autoSubs = this.calculateLocalAutoSubs(picks);
-    const subbedOutMap = new Map(autoSubs.map(sub => [sub.element_out, sub.element_in]));
-    const subbedInSet = new Set(autoSubs.map(sub => sub.element_in));
+    return { matchUps, rows: FPLScoring.applyH2HResults(scores, matchUps) };
+  }
+
+  calculateLiveInfo(picks) {
+    return FPLScoring.calculateLiveInfo(picks, this.getScoringContext());
+  }
+
+  // Get detailed player info for a manager's picks - scored by the shared rules,
+  // plus the team details the player cards need
+  getPlayerDetails(picks) {
+    if (!picks?.picks) return { starting: [], bench: [], assistantManager: null, activeChip: null };
     
-    const getPlayerInfo = (pick, index) => {
-      const player = this.players.get(pick.element);
-      const team = player ? this.teams.get(player.team) : null;
-      const liveElement = this.liveData?.elements?.find(e => e.id === pick.element);
-      
-      // Get base points from API
-      const basePoints = liveElement?.stats?.total_points || 0;
-      const apiBonus = liveElement?.stats?.bonus || 0;
-      
-      // IMPORTANT: Once FPL confirms bonus, total_points ALREADY includes it
-      // So we only add our provisional calculation when API bonus is still 0
-      const calcBonus = provisionalBonus.get(pick.element) || 0;
-      const bonusToAdd = apiBonus > 0 ? 0 : calcBonus; // Don't double-count official bonus
-      
-      // For display: show apiBonus if confirmed, otherwise show calculated
-      const bonusPoints = apiBonus > 0 ? apiBonus : calcBonus;
-      
-      const points = basePoints + bonusToAdd;
-      const minutes = liveElement?.stats?.minutes || 0;
-      const hasPlayed = minutes > 0;
-      
-      // Check auto-sub status
-      const wasSubbedOut = subbedOutMap.has(pick.element);
-      const wasSubbedIn = subbedInSet.has(pick.element);
-      const isStarting = index < 11;
-      
-      // Determine if player's points count
-      const pointsCount = (isStarting && !wasSubbedOut) || 
-                          wasSubbedIn || 
-                          (isBenchBoost && index >= 11);
-      
-      // Calculate effective points (captain gets 2x, triple captain 3x)
-      // For subbed-in players, use multiplier of 1 (bench players have multiplier 0 in API)
-      const effectiveMultiplier = wasSubbedIn ? 1 : pick.multiplier;
-      let effectivePoints = pointsCount ? points * effectiveMultiplier : 0;
-      
-      // Get fixture status for this player's team
-      let fixtureStatus = 'upcoming'; // 'upcoming', 'playing', 'finished'
-      if (player && this.fixtures) {
-        const playerFixture = this.fixtures.find(f => 
-          f.event === this.currentGameweek && 
-          (f.team_h === player.team || f.team_a === player.team)
-        );
-        if (playerFixture) {
-          if (playerFixture.finished || playerFixture.finished_provisional) {
-            fixtureStatus = 'finished';
-          } else if (playerFixture.started) {
-            fixtureStatus = 'playing';
-          }
-        }
-      }
-      
+    const allPlayers = FPLScoring.calculatePlayerPoints(picks, this.getScoringContext()).map(result => {
+      const team = this.teams.get(this.players.get(result.id)?.team);
       return {
-        id: pick.element,
-        name: player?.web_name || 'Unknown',
+        ...result,
         teamName: team?.short_name || '???',
         teamCode: team?.code || 0,
-        position: player?.element_type || 0, // 1=GK, 2=DEF, 3=MID, 4=FWD
-        points: points,
-        bonusPoints: bonusPoints,
-        effectivePoints: effectivePoints,
-        multiplier: effectiveMultiplier,
-        isCaptain: pick.is_captain,
-        isViceCaptain: pick.is_vice_captain,
-        hasPlayed: hasPlayed,
-        minutes: minutes,
-        isBench: index >= 11,
-        wasSubbedOut: wasSubbedOut,
-        wasSubbedIn: wasSubbedIn,
-        pointsCount: pointsCount,
-        fixtureStatus: fixtureStatus,
+        fixtures: result.fixtures.map(fixture => ({
+          ...fixture,
+          opponentName: this.teams.get(fixture.opponent)?.short_name || '???',
+        })),
       };
-    };
+    });
     
-    const allPlayers = picks.picks.map((pick, index) => getPlayerInfo(pick, index));
+    // The Assistant Manager chip adds a 16th pick after the bench
+    const squad = allPlayers.filter(p => !p.isAssistantManager);
     
     return {
-      starting: allPlayers.slice(0, 11),
-      bench: allPlayers.slice(11),
-      activeChip: activeChip,
+      starting: squad.slice(0, 11),
+      bench: squad.slice(11),
+      assistantManager: allPlayers.find(p => p.isAssistantManager) || null,
+      activeChip: picks.active_chip,
     };
   }
 
@@ -929,20 +1045,73 @@ class FPLLiveTable {
 
   updateLeagueInfo(standings) {
     this.el.leagueName.textContent = standings.league.name;
+    this.renderLeagueSwitcher();
   }
 
-  renderLeaderboard() {
-    // Calculate scores
-    const scores = this.calculateScores();
+  // Header dropdown of the other saved leagues (hidden until there's more than one)
+  renderLeagueSwitcher() {
+    const others = this.getSavedLeagues().filter(l => l.id !== this.leagueId);
     
-    // Calculate position changes
-    const scoresWithChanges = this.calculatePositionChanges(scores);
+    this.el.leagueSwitcher.innerHTML = `
+      <option value="">Switch league</option>
+      ${others.map(l => `<option value="${this.escapeHtml(l.id)}">${this.escapeHtml(l.name || `League ${l.id}`)}</option>`).join('')}
+    `;
+    this.el.leagueSwitcher.style.display = others.length > 0 ? '' : 'none';
+  }
+
+  // Saved leagues on the setup screen - click one to open it, × to forget it
+  renderSavedLeagues() {
+    const leagues = this.getSavedLeagues();
+    
+    this.el.savedLeagues.innerHTML = `
+      <div class="saved-leagues-title">Your leagues</div>
+      ${leagues.map(l => `
+        <div class="saved-league" data-league-id="${this.escapeHtml(l.id)}">
+          <span class="saved-league-name">${this.escapeHtml(l.name || `League ${l.id}`)}</span>
+          <span class="saved-league-id">${this.escapeHtml(l.id)}</span>
+          <button class="saved-league-remove" data-action="remove" title="Forget this league">×</button>
+        </div>
+      `).join('')}
+    `;
+    this.el.savedLeagues.style.display = leagues.length > 0 ? '' : 'none';
+  }
+
+  renderLeaderboard() {
+    // Archived and server rows arrive already scored; otherwise score here.
+    // Position changes depend on the view, so they're worked out for it either way.
+    let scoresWithChanges;
+    let matchUps = null;
+    if (this.archiveView) {
+      scoresWithChanges = this.calculatePositionChanges(this.archiveView.table.rows);
+    } else if (this.serverTable) {
+      scoresWithChanges = this.calculatePositionChanges(this.serverTable.rows);
+    } else if (this.leagueType === 'h2h') {
+      ({ matchUps, rows: scoresWithChanges } = this.calculateH2HTable(this.calculateScores()));
+    } else {
+      scoresWithChanges = this.calculatePositionChanges(this.calculateScores());
+    }
     
     // Sort by the current view
     const sorted = this.sortScores(scoresWithChanges);
     
     // Update stats
     this.updateStats(sorted);
+    this.renderArchiveBanner();
+    this.renderH2HMatches(matchUps);
+    this.renderComparison(sorted);
+    this.renderMyPosition(sorted);
+    this.renderManagerLimitNotice(sorted.length);
+    this.renderOwnership();
+    
+    // Head-to-head leagues rank on league points, and have no monthly table
+    const isH2H = this.currentView === 'h2h';
+    const headers = { h2h: 'Pts', monthly: 'Monthly', gameweek: 'GW', overall: 'Total' };
+    this.el.scoreHeader.textContent = headers[this.currentView];
+    this.el.monthSelectorBar.style.display = isH2H ? 'none' : '';
+    this.el.monthFilter.style.display = this.currentView === 'monthly' ? '' : 'none';
+    this.el.viewSwitcher.querySelectorAll('[data-view]').forEach(button => {
+      button.classList.toggle('active', button.dataset.view === this.currentView);
+    });
     
     // Render table
     this.el.leaderboardBody.innerHTML = '';
@@ -952,7 +1121,7 @@ class FPLLiveTable {
       this.el.leaderboardBody.appendChild(row);
       
       // Add expanded player details row if this row is expanded
-      if (this.expandedRows.has(manager.entry)) {
+      if (manager.picks && this.expandedRows.has(manager.entry)) {
         const detailsRow = this.createPlayerDetailsRow(manager);
         this.el.leaderboardBody.appendChild(detailsRow);
       }
@@ -962,23 +1131,271 @@ class FPLLiveTable {
     this.hideLoading();
   }
 
-  updateStats(scores) {
-    // Update gameweek number
-    this.el.gwNumber.textContent = this.currentGameweek;
+  // Note under the table when a big league has more managers than were scored
+  renderManagerLimitNotice(shown) {
+    if (this.archiveView || !this.hasMoreManagers) {
+      this.el.managerLimitNotice.style.display = 'none';
+      return;
+    }
+    
+    this.el.managerLimitNotice.innerHTML = `
+      <span>Showing the top ${shown} managers by overall rank</span>
+      <button class="footer-link" data-action="more">Load ${CONFIG.MAX_MANAGERS} more</button>
+    `;
+    this.el.managerLimitNotice.style.display = 'flex';
+  }
+
+  // Ownership, captaincy and effective ownership of every player picked in the
+  // league - each row opens the managers who gain and lose when the player returns
+  renderOwnership() {
+    const { players } = this.archiveView ? { players: [] } : this.getLeagueOwnership();
+    if (players.length === 0) {
+      this.el.ownershipSection.style.display = 'none';
+      return;
+    }
+    
+    const shown = this.showAllOwnership ? players : players.slice(0, CONFIG.OWNERSHIP_PLAYERS);
+    const percent = (value) => `${Math.round(value)}%`;
+    
+    // "Alice (C)", "Bob (bench)" - capped so a big league doesn't list everyone
+    const names = (swings) => {
+      const listed = swings.slice(0, 12).map(s => {
+        const role = s.multiplier === 3 ? 'TC' : s.multiplier === 2 ? 'C' : s.owned && s.multiplier === 0 ? 'bench' : null;
+        return `${this.escapeHtml(s.player_name || 'Unknown')}${role ? ` <span class="ownership-role">${role}</span>` : ''}`;
+      });
+      if (swings.length > listed.length) listed.push(`+${swings.length - listed.length} more`);
+      return listed.join(', ') || 'Nobody';
+    };
+    
+    const rows = shown.map(player => {
+      const team = this.teams.get(player.team);
+      const isExpanded = this.expandedOwnership.has(player.id);
+      
+      return `
+        <div class="ownership-row ${isExpanded ? 'expanded' : ''}" data-player-id="${player.id}">
+          <span class="team-indicator" style="background-color: ${this.getTeamColor(team?.code)}; color: ${this.getTeamTextColor(team?.code)}">${team?.short_name || '???'}</span>
+          <span class="ownership-name">${this.escapeHtml(player.name)}</span>
+          <span class="ownership-stat">${player.points}</span>
+          <span class="ownership-stat" title="Owned by ${player.owners}">${percent(player.ownership)}</span>
+          <span class="ownership-stat" title="Captained by ${player.captains}">${percent(player.captaincy)}</span>
+          <span class="ownership-stat eo">${percent(player.effectiveOwnership)}</span>
+        </div>
+        ${isExpanded ? `
+          <div class="ownership-swings">
+            <div class="ownership-swing gain"><span class="swing-label">Gain</span> ${names(player.gainers)}</div>
+            <div class="ownership-swing lose"><span class="swing-label">Lose</span> ${names(player.losers)}</div>
+          </div>
+        ` : ''}
+      `;
+    }).join('');
+    
+    const footer = players.length > CONFIG.OWNERSHIP_PLAYERS ? `
+      <button class="footer-link ownership-more" data-action="all">
+        ${this.showAllOwnership ? 'Show fewer' : `Show all ${players.length} players`}
+      </button>
+    ` : '';
+    
+    this.el.ownershipList.innerHTML = `
+      <div class="ownership-row ownership-header">
+        <span></span>
+        <span class="ownership-name">Player</span>
+        <span class="ownership-stat">Pts</span>
+        <span class="ownership-stat">Own</span>
+        <span class="ownership-stat">Capt</span>
+        <span class="ownership-stat eo" title="Effective ownership - captains count double, benched players not at all">EO</span>
+      </div>
+      ${rows}
+      ${footer}
+    `;
+    this.el.ownershipSection.style.display = 'block';
+  }
+
+  // Live match-ups, e.g. "Alice 54 – 48 Bob (live)" - hidden for classic leagues
+  renderH2HMatches(matchUps) {
+    if (!matchUps?.length) {
+      this.el.h2hMatches.style.display = 'none';
+      return;
+    }
+    
+    const status = this.getGameweekStatus();
+    const label = status === 'done' ? 'final' : status === 'live' ? 'live' : 'projected';
+    
+    const side = (team) => `
+      <span class="h2h-name ${team.result === 'W' ? 'winning' : ''}" title="${this.escapeHtml(team.entry_name)}">
+        ${this.escapeHtml(team.player_name || 'Unknown')}
+      </span>
+    `;
+    
+    this.el.h2hMatches.innerHTML = matchUps.map(match => `
+      <div class="h2h-match">
+        ${side(match.home)}
+        <span class="h2h-score">${match.home.points} – ${match.away.points}</span>
+        ${side(match.away)}
+        <span class="h2h-status ${match.settled ? 'final' : label}">${match.settled ? 'final' : label}</span>
+      </div>
+    `).join('');
+    this.el.h2hMatches.style.display = 'grid';
+  }
+
+  // Two managers side by side: shared players collapsed, differentials (captaincy
+  // included) with the points each has swung, and what each side has still to come
+  renderComparison(rows) {
+    const managers = this.archiveView ? [] : this.compareEntries
+      .map(entry => rows.find(row => row.entry === entry && row.picks))
+      .filter(Boolean);
+    
+    if (managers.length === 0) {
+      this.el.comparisonPanel.style.display = 'none';
+      return;
+    }
+    
+    const name = (manager) => this.escapeHtml(manager.player_name || 'Unknown');
+    
+    // One picked so far - prompt for the second
+    if (managers.length === 1) {
+      this.el.comparisonPanel.innerHTML = `
+        <div class="comparison-prompt">
+          Comparing <strong>${name(managers[0])}</strong> - pick another manager with ⇄
+          <button class="footer-link" data-action="close">Cancel</button>
+        </div>
+      `;
+      this.el.comparisonPanel.style.display = 'block';
+      return;
+    }
+    
+    const [a, b] = managers;
+    const result = FPLScoring.compareManagers(a.picks, b.picks, this.getScoringContext());
+    
+    const armband = (multiplier) => multiplier === 3 ? 'TC' : multiplier === 2 ? 'C' : '';
+    
+    const differential = (d) => {
+      const team = this.teams.get(this.players.get(d.id)?.team);
+      const [mine, theirs] = d.favours === 'a' ? [d.multiplierA, d.multiplierB] : [d.multiplierB, d.multiplierA];
+      // Both count the player - the difference is the armband
+      const note = theirs > 0 ? `<span class="differential-note">${armband(mine)} vs ${armband(theirs) || '1×'}</span>`
+        : armband(mine) ? `<span class="differential-note">${armband(mine)}</span>` : '';
+      
+      return `
+        <div class="differential ${d.toCome ? 'to-come' : ''}" ${d.toCome ? 'title="Still to play"' : ''}>
+          <span class="team-indicator" style="background-color: ${this.getTeamColor(team?.code)}; color: ${this.getTeamTextColor(team?.code)}">${team?.short_name || '???'}</span>
+          <span class="differential-name">${this.escapeHtml(d.name)}</span>
+          ${note}
+          <span class="differential-swing">${d.swing > 0 ? `+${d.swing}` : d.toCome ? '⏳' : '0'}</span>
+        </div>
+      `;
+    };
+    
+    const column = (side) => {
+      const list = result.differentials.filter(d => d.favours === side);
+      return list.length > 0 ? list.map(differential).join('') : '<div class="no-events">No differentials</div>';
+    };
     
-    // Determine if gameweek is live or finished
-    const currentEvent = this.events?.find(e => e.id === this.currentGameweek);
-    const isFinished = currentEvent?.finished || false;
+    const toCome = (summary) => summary.toCome === 0 ? 'none'
+      : `${summary.toCome} player${summary.toCome === 1 ? '' : 's'}${summary.toComeMultiplier > summary.toCome ? ` (×${summary.toComeMultiplier} with the armband)` : ''}`;
     
-    // Check if any fixtures are currently in progress
-    const isLive = !isFinished && this.fixtures?.some(f => 
+    const leader = result.swing > 0 ? name(a) : result.swing < 0 ? name(b) : null;
+    
+    this.el.comparisonPanel.innerHTML = `
+      <div class="comparison-header">
+        <div class="comparison-manager">
+          <span class="manager-name">${name(a)}</span>
+          <span class="comparison-points">${result.a.points}</span>
+        </div>
+        <div class="comparison-swing">
+          ${leader ? `Differentials: ${leader} +${Math.abs(result.swing)}` : 'Differentials level'}
+        </div>
+        <div class="comparison-manager b">
+          <span class="manager-name">${name(b)}</span>
+          <span class="comparison-points">${result.b.points}</span>
+        </div>
+        <button class="comparison-close" data-action="close" title="Close comparison">×</button>
+      </div>
+      <div class="comparison-columns">
+        <div class="comparison-column">${column('a')}</div>
+        <div class="comparison-column">${column('b')}</div>
+      </div>
+      <button class="comparison-shared" data-action="shared">
+        ${result.shared.length} shared player${result.shared.length === 1 ? '' : 's'} ${this.showSharedPlayers ? '▼' : '▶'}
+      </button>
+      ${this.showSharedPlayers ? `
+        <div class="comparison-shared-list">
+          ${result.shared.map(p => `${this.escapeHtml(p.name)}${armband(p.multiplier) ? ` (${armband(p.multiplier)})` : ''}`).join(', ')}
+        </div>
+      ` : ''}
+      <div class="comparison-to-come">
+        <span>Still to play: ${toCome(result.a)}</span>
+        <span>Still to play: ${toCome(result.b)}</span>
+      </div>
+    `;
+    this.el.comparisonPanel.style.display = 'block';
+  }
+
+  // The viewer's own row pinned above the table: position, live gaps and players still to play
+  renderMyPosition(rows) {
+    const gaps = this.myEntry ? FPLScoring.calculateGaps(rows, this.myEntry, this.currentView) : null;
+    if (!gaps) {
+      this.el.myPosition.style.display = 'none';
+      return;
+    }
+    
+    const me = rows[gaps.position - 1];
+    const gap = (value) => value > 0 ? `+${value}` : value < 0 ? `−${-value}` : 'level';
+    const rival = (label, manager) => manager ? `
+      <div class="my-gap">
+        <span class="my-gap-label">${label}</span>
+        <span class="my-gap-name">${this.escapeHtml(manager.player_name || 'Unknown')}</span>
+        <span class="my-gap-value ${manager.gap > 0 ? 'ahead' : manager.gap < 0 ? 'behind' : ''}">${gap(manager.gap)}</span>
+        <span class="my-gap-to-play">${manager.toPlay} to play</span>
+      </div>
+    ` : '';
+    
+    // The place above is the leader when second - no need to show them twice
+    this.el.myPosition.innerHTML = `
+      <div class="my-position-header">
+        <span class="my-position-rank">#${gaps.position} of ${rows.length}</span>
+        <span class="my-position-name">${this.escapeHtml(me.entry_name || me.player_name || 'You')}</span>
+        <span class="my-position-points">${gaps.points} pts · ${gaps.toPlay} to play</span>
+        <button class="footer-link" data-action="me">Not me</button>
+      </div>
+      <div class="my-gaps">
+        ${gaps.position > 2 ? rival('Leader', gaps.leader) : ''}
+        ${rival(gaps.position === 2 ? 'Leader' : 'Above', gaps.above)}
+        ${rival('Below', gaps.below)}
+      </div>
+    `;
+    this.el.myPosition.style.display = 'block';
+  }
+
+  isGameweekFinished(gameweek) {
+    return Boolean(this.events?.find(e => e.id === gameweek)?.finished);
+  }
+
+  // 'done' once FPL marks the gameweek finished, 'live' while a fixture is in play, otherwise null
+  getGameweekStatus() {
+    if (this.isGameweekFinished(this.currentGameweek)) return 'done';
+    
+    const isLive = this.fixtures?.some(f => 
       f.event === this.currentGameweek && f.started && !f.finished
     );
+    return isLive ? 'live' : null;
+  }
+
+  updateStats(scores) {
+    // Archived tables show the gameweek they were saved at
+    if (this.archiveView) {
+      this.el.gwNumber.textContent = this.archiveView.gameweek;
+      this.el.gwStatus.innerHTML = '<span class="status-done">ARCHIVE</span>';
+      return;
+    }
+    
+    // Update gameweek number
+    this.el.gwNumber.textContent = this.currentGameweek;
     
     // Update status badge
-    if (isFinished) {
+    const status = this.getGameweekStatus();
+    if (status === 'done') {
       this.el.gwStatus.innerHTML = '<span class="status-done">DONE</span>';
-    } else if (isLive) {
+    } else if (status === 'live') {
       this.el.gwStatus.innerHTML = '<span class="status-live">LIVE</span>';
     } else {
       // Upcoming or between fixtures
@@ -987,29 +1404,18 @@ class FPLLiveTable {
   }
 
   sortScores(scores) {
-    const field = this.currentView === 'monthly' ? 'monthlyPoints' : 'gameweekPoints';
-    
-    return [...scores].sort((a, b) => {
-      // Primary sort by selected field
-      if (b[field] !== a[field]) {
-        return b[field] - a[field];
-      }
-      // Secondary sort by gameweek points
-      if (b.gameweekPoints !== a.gameweekPoints) {
-        return b.gameweekPoints - a.gameweekPoints;
-      }
-      // Tertiary sort by total points
-      return b.total - a.total;
-    });
+    return FPLScoring.sortScores(scores, this.currentView);
   }
 
   createRow(manager, rank) {
     const row = document.createElement('tr');
     row.className = 'manager-row';
     row.dataset.managerId = manager.entry;
+    if (manager.entry === this.myEntry) row.classList.add('is-me');
     
-    // Check if expanded
-    const isExpanded = this.expandedRows.has(manager.entry);
+    // Check if expanded (archived rows have no picks, so nothing to expand)
+    const canExpand = Boolean(manager.picks);
+    const isExpanded = canExpand && this.expandedRows.has(manager.entry);
     if (isExpanded) row.classList.add('expanded');
     
     // Rank badge - only rank 1 gets special treatment (winner takes all)
@@ -1017,11 +1423,34 @@ class FPLLiveTable {
     const rankContent = rank === 1 ? '💰' : rank;
     
     // Score field based on view
-    const mainScore = this.currentView === 'monthly' ? manager.monthlyPoints : manager.gameweekPoints;
+    const mainScore = this.currentView === 'h2h' ? manager.h2hPoints
+      : this.currentView === 'monthly' ? manager.monthlyPoints
+      : this.currentView === 'overall' ? manager.liveTotal ?? manager.total : manager.gameweekPoints;
+    
+    // Transfer hit under the (net) GW points, e.g. "62 −8"
+    const hit = manager.transferCost ? `
+      <span class="points-hit" title="${manager.grossPoints} points, −${manager.transferCost} transfer hit">
+        ${manager.grossPoints} −${manager.transferCost}
+      </span>
+    ` : '';
+    
+    // Head-to-head: projected W-D-L record, with this gameweek's result
+    const h2hRecord = this.currentView === 'h2h' ? `
+      <span class="h2h-record">
+        ${manager.h2hResult ? `<span class="h2h-result ${manager.h2hResult}">${manager.h2hResult}</span>` : ''}
+        ${manager.won}-${manager.drawn}-${manager.lost}
+      </span>
+    ` : '';
     
     // Chip badge
     const chipBadge = manager.activeChip ? this.getChipBadge(manager.activeChip) : '';
     
+    // Pick this manager for the side-by-side comparison
+    const isComparing = this.compareEntries.includes(manager.entry);
+    const compareBtn = canExpand ? `
+      <button class="compare-btn ${isComparing ? 'active' : ''}" data-action="compare" title="${isComparing ? 'Stop comparing' : 'Compare'}">⇄</button>
+    ` : '';
+    
     // Position change indicator
     const posChange = manager.positionChange || 0;
     let moveClass = 'same';
@@ -1046,19 +1475,22 @@ class FPLLiveTable {
       </td>
       <td class="col-manager">
         <div class="manager-cell">
-          <span class="expand-btn">${isExpanded ? '▼' : '▶'}</span>
+          <span class="expand-btn">${canExpand ? (isExpanded ? '▼' : '▶') : ''}</span>
           <div class="manager-info">
             <span class="manager-name">${this.escapeHtml(manager.player_name || 'Unknown')}</span>
             <span class="team-name">${this.escapeHtml(manager.entry_name)}</span>
           </div>
           ${chipBadge}
+          ${compareBtn}
         </div>
       </td>
       <td class="col-gw">
         <span class="points-gw">${manager.gameweekPoints}</span>
+        ${hit}
       </td>
       <td class="col-score">
         <span class="points-main">${mainScore}</span>
+        ${h2hRecord}
       </td>
       <td class="col-played">
         <span class="played-display">
@@ -1068,13 +1500,22 @@ class FPLLiveTable {
       <td class="col-captain hide-mobile">
         <span class="captain-display">
           <span class="captain-name">${this.escapeHtml(manager.captain || '--')}</span>
+          ${manager.captainPromoted ? '<span class="captain-vc" title="Captain didn\'t play - vice-captain has the armband">VC</span>' : ''}
           <span class="captain-status">${manager.captain ? (manager.captainPlayed ? '✅' : '⏳') : ''}</span>
         </span>
       </td>
     `;
     
     // Add click handler to toggle expansion
-    row.addEventListener('click', () => this.toggleRowExpansion(manager));
+    if (canExpand) {
+      row.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="compare"]')) {
+          this.toggleCompare(manager.entry);
+        } else {
+          this.toggleRowExpansion(manager);
+        }
+      });
+    }
     
     return row;
   }
@@ -1100,15 +1541,28 @@ class FPLLiveTable {
       }
     });
     
+    // Points breakdown for the clicked player card, if it's one of this manager's
+    const openPlayerId = this.openBreakdown?.entry === manager.entry ? this.openBreakdown.playerId : null;
+    const openPlayer = [...details.starting, ...details.bench, details.assistantManager].find(p => p?.id === openPlayerId);
+    
+    // Gross points, transfer hit and net points
+    const pointsSummary = manager.transferCost
+      ? `${manager.grossPoints} pts <span class="summary-hit">−${manager.transferCost} hit</span> = <strong>${manager.gameweekPoints}</strong>`
+      : `<strong>${manager.gameweekPoints}</strong> pts`;
+    
     row.innerHTML = `
       <td colspan="8">
         <div class="player-grid-container">
+          <div class="points-summary">
+            GW${this.currentGameweek}: ${pointsSummary}
+            <button class="footer-link me-toggle" data-action="me">${manager.entry === this.myEntry ? 'Not me' : 'This is me'}</button>
+          </div>
           <div class="player-grid">
             ${Object.values(positions).map(pos => `
               <div class="position-group">
                 <div class="position-label">${pos.name}</div>
                 <div class="position-players">
-                  ${pos.players.map(p => this.createPlayerCard(p)).join('')}
+                  ${pos.players.map(p => this.createPlayerCard(p, false, p === openPlayer)).join('')}
                 </div>
               </div>
             `).join('')}
@@ -1116,9 +1570,18 @@ class FPLLiveTable {
           <div class="bench-section">
             <div class="bench-label">BENCH</div>
             <div class="bench-players">
-              ${details.bench.map(p => this.createPlayerCard(p, true)).join('')}
+              ${details.bench.map(p => this.createPlayerCard(p, true, p === openPlayer)).join('')}
             </div>
           </div>
+          ${details.assistantManager ? `
+            <div class="bench-section">
+              <div class="bench-label">ASSISTANT MANAGER</div>
+              <div class="bench-players">
+                ${this.createPlayerCard(details.assistantManager, false, details.assistantManager === openPlayer)}
+              </div>
+            </div>
+          ` : ''}
+          ${openPlayer ? this.createPointsBreakdown(openPlayer) : ''}
         </div>
       </td>
     `;
@@ -1126,9 +1589,18 @@ class FPLLiveTable {
     return row;
   }
 
-  createPlayerCard(player, isBench = false) {
-    const captainBadge = player.isCaptain ? '<span class="captain-badge">C</span>' : 
-                         player.isViceCaptain ? '<span class="vc-badge">V</span>' : '';
+  createPlayerCard(player, isBench = false, isSelected = false) {
+    // Armband - if the captain didn't play it passes to the vice-captain
+    let captainBadge = '';
+    if (player.armbandPassed) {
+      captainBadge = '<span class="captain-badge passed" title="Didn\'t play - armband passed to the vice-captain">C</span>';
+    } else if (player.isViceCaptain && player.isActingCaptain) {
+      captainBadge = '<span class="captain-badge acting" title="Vice-captain - captain didn\'t play">C</span>';
+    } else if (player.isCaptain) {
+      captainBadge = '<span class="captain-badge">C</span>';
+    } else if (player.isViceCaptain) {
+      captainBadge = '<span class="vc-badge">V</span>';
+    }
     
     // Fixture status indicator
     let statusIndicator = '';
@@ -1138,6 +1610,16 @@ class FPLLiveTable {
       statusIndicator = '<span class="fixture-status finished" title="Finished">✓</span>';
     }
     
+    // Double gameweeks list both fixtures; blanks say so
+    let fixturesLine = '';
+    if (player.fixtures.length === 0) {
+      fixturesLine = '<div class="player-fixtures blank">No fixture</div>';
+    } else if (player.fixtures.length > 1) {
+      fixturesLine = `<div class="player-fixtures">${player.fixtures.map(f =>
+        `<span class="player-fixture ${f.status}">${f.opponentName} (${f.isHome ? 'H' : 'A'})</span>`
+      ).join('')}</div>`;
+    }
+    
     // Determine points display class
     let pointsClass = 'points-pending';
     if (player.hasPlayed && player.pointsCount) {
@@ -1154,9 +1636,10 @@ class FPLLiveTable {
     const bonusBadge = player.bonusPoints > 0 && player.pointsCount ? 
       `<span class="bonus-badge">${player.bonusPoints}BP</span>` : '';
     
-    // Auto-sub indicator
+    // Auto-sub indicator ("?" while the sub depends on a bench player's fixture)
     const subBadge = player.wasSubbedOut ? '<span class="sub-badge sub-out">↓</span>' :
-                     player.wasSubbedIn ? '<span class="sub-badge sub-in">↑</span>' : '';
+                     player.wasSubbedIn ? '<span class="sub-badge sub-in">↑</span>' :
+                     player.subPending ? '<span class="sub-badge sub-pending" title="Auto-sub pending - waiting on the bench">?</span>' : '';
     
     // Card classes
     const cardClasses = [
@@ -1165,7 +1648,9 @@ class FPLLiveTable {
       player.hasPlayed ? 'played' : 'not-played',
       player.wasSubbedOut ? 'subbed-out' : '',
       player.wasSubbedIn ? 'subbed-in' : '',
+      player.subPending ? 'sub-pending' : '',
       !player.pointsCount ? 'no-points' : '',
+      isSelected ? 'selected' : '',
     ].filter(Boolean).join(' ');
     
     // Points display
@@ -1175,13 +1660,14 @@ class FPLLiveTable {
     }
     
     return `
-      <div class="${cardClasses}">
+      <div class="${cardClasses}" data-player-id="${player.id}" title="Show points breakdown">
         <div class="player-team-badge" style="background-color: ${this.getTeamColor(player.teamCode)}; color: ${this.getTeamTextColor(player.teamCode)}">
           ${player.teamName}
         </div>
         ${captainBadge}
         ${subBadge}
         <div class="player-name">${player.name}${statusIndicator}</div>
+        ${fixturesLine}
         <div class="player-points ${pointsClass}">
           ${pointsDisplay}
           ${multiplierBadge}
@@ -1191,18 +1677,137 @@ class FPLLiveTable {
     `;
   }
 
-  getChipBadge(chip) {
-    const chips = {
+  // Every scoring line behind a player's points, shown under the player grid
+  createPointsBreakdown(player) {
+    const breakdown = FPLScoring.calculatePointsBreakdown(player.id, player.multiplier, this.getScoringContext());
+    const formatPoints = (points) => points > 0 ? `+${points}` : points < 0 ? `−${-points}` : '0';
+    
+    const fixtureSections = breakdown.fixtures.map(fixture => {
+      // Name the opponent when there's more than one game to tell apart
+      const info = player.fixtures.find(f => f.id === fixture.id);
+      const heading = breakdown.fixtures.length > 1 && info
+        ? `<div class="breakdown-fixture">vs ${info.opponentName} (${info.isHome ? 'H' : 'A'})</div>`
+        : '';
+      
+      const lines = fixture.lines.length > 0
+        ? fixture.lines.map(line => `
+          <div class="breakdown-line">
+            <span class="breakdown-label">${this.getStatLabel(line.identifier)}${line.value !== null ? ` <span class="breakdown-value">${line.value}</span>` : ''}</span>
+            <span class="breakdown-points">${formatPoints(line.points)}</span>
+          </div>
+        `).join('')
+        : '<div class="breakdown-line empty">No points yet</div>';
+      
+      return heading + lines;
+    }).join('');
+    
+    const provisionalLine = breakdown.provisionalBonus > 0 ? `
+      <div class="breakdown-line provisional">
+        <span class="breakdown-label">Bonus (provisional)</span>
+        <span class="breakdown-points">${formatPoints(breakdown.provisionalBonus)}</span>
+      </div>
+    ` : '';
+    
+    // Armband last: the acting captain doubles (or triples) the whole subtotal
+    const captainLabel = player.multiplier === 3 ? 'Triple Captain' : 'Captain';
+    const multiplierLine = player.multiplier > 1 ? `
+      <div class="breakdown-line subtotal">
+        <span class="breakdown-label">Subtotal</span>
+        <span class="breakdown-points">${breakdown.subtotal}</span>
+      </div>
+      <div class="breakdown-line">
+        <span class="breakdown-label">${captainLabel} ×${player.multiplier}</span>
+        <span class="breakdown-points">${formatPoints(breakdown.total - breakdown.subtotal)}</span>
+      </div>
+    ` : '';
+    
+    // Bench players and subbed-out starters score nothing for the manager
+    let note = '';
+    if (player.wasSubbedOut) {
+      note = '<div class="breakdown-note">Subbed out - these points don\'t count</div>';
+    } else if (!player.pointsCount) {
+      note = '<div class="breakdown-note">On the bench - these points don\'t count</div>';
+    }
+    
+    return `
+      <div class="points-breakdown">
+        <div class="breakdown-header">${player.name} <span class="breakdown-team">${player.teamName}</span></div>
+        ${fixtureSections}
+        ${provisionalLine}
+        ${multiplierLine}
+        <div class="breakdown-line total">
+          <span class="breakdown-label">Total</span>
+          <span class="breakdown-points">${breakdown.total}</span>
+        </div>
+        ${note}
+      </div>
+    `;
+  }
+
+  // Readable name for an `explain` scoring line
+  getStatLabel(identifier) {
+    const labels = {
+      'minutes': 'Minutes played',
+      'goals_scored': 'Goals scored',
+      'assists': 'Assists',
+      'clean_sheets': 'Clean sheet',
+      'goals_conceded': 'Goals conceded',
+      'own_goals': 'Own goals',
+      'penalties_saved': 'Penalties saved',
+      'penalties_missed': 'Penalties missed',
+      'yellow_cards': 'Yellow card',
+      'red_cards': 'Red card',
+      'saves': 'Saves',
+      'bonus': 'Bonus',
+      'defensive_contribution': 'Defensive contribution',
+      'total_points': 'Points',
+      // Assistant Manager
+      'mng_win': 'Win',
+      'mng_draw': 'Draw',
+      'mng_loss': 'Loss',
+      'mng_goals_scored': 'Goals scored',
+      'mng_clean_sheets': 'Clean sheet',
+      'mng_underdog_win': 'Underdog win',
+      'mng_underdog_draw': 'Underdog draw',
+    };
+    
+    // Unknown lines (new FPL rules) still show, e.g. 'some_stat' -> 'Some stat'
+    return labels[identifier] || identifier.charAt(0).toUpperCase() + identifier.slice(1).replace(/_/g, ' ');
+  }
+
+  // Badge for every chip in the bootstrap `chips` list - ones we have no style
+  // for (FPL adds chips from time to time) get a generic badge from their name
+  buildChipDefinitions(chips) {
+    const styles = {
       'bboost': { label: 'BB', title: 'Bench Boost', color: '#10b981' },
       '3xc': { label: 'TC', title: 'Triple Captain', color: '#f59e0b' },
       'freehit': { label: 'FH', title: 'Free Hit', color: '#3b82f6' },
       'wildcard': { label: 'WC', title: 'Wildcard', color: '#8b5cf6' },
+      'manager': { label: 'AM', title: 'Assistant Manager', color: '#ec4899' },
     };
     
-    const chipInfo = chips[chip];
-    if (!chipInfo) return '';
+    this.chipDefinitions = new Map(Object.entries(styles));
+    chips.forEach(chip => {
+      if (!this.chipDefinitions.has(chip.name)) {
+        this.chipDefinitions.set(chip.name, this.getGenericChip(chip.name));
+      }
+    });
+  }
+  
+  // e.g. 'double_trouble' -> DT, "Double trouble"
+  getGenericChip(name) {
+    const words = String(name).split(/[^a-z0-9]+/i).filter(Boolean);
+    const label = words.length > 1 ? words.map(w => w[0]).join('') : String(name).slice(0, 2);
+    const title = String(name).charAt(0).toUpperCase() + String(name).slice(1).replace(/_/g, ' ');
+    
+    return { label: label.slice(0, 3).toUpperCase(), title, color: '#64748b' };
+  }
+
+  getChipBadge(chip) {
+    // Chips missing from bootstrap (e.g. in an archived table) still get a badge
+    const chipInfo = this.chipDefinitions?.get(chip) || this.getGenericChip(chip);
     
-    return `<span class="chip-badge" style="background: ${chipInfo.color}" title="${chipInfo.title}">${chipInfo.label}</span>`;
+    return `<span class="chip-badge" style="background: ${chipInfo.color}" title="${this.escapeHtml(chipInfo.title)}">${this.escapeHtml(chipInfo.label)}</span>`;
   }
 
   getTeamColor(teamCode) {
@@ -1252,6 +1857,105 @@ class FPLLiveTable {
       this.expandedRows.add(manager.entry);
     }
     this.renderLeaderboard();
+    this.updateURL({ replace: true });
+  }
+
+  // Add a manager to the comparison (replacing the earlier of two), or take them out
+  toggleCompare(entry) {
+    if (this.compareEntries.includes(entry)) {
+      this.compareEntries = this.compareEntries.filter(e => e !== entry);
+    } else {
+      this.compareEntries = [...this.compareEntries, entry].slice(-2);
+    }
+    this.renderLeaderboard();
+  }
+
+  // Open a player's points breakdown, or close it if it's already open
+  toggleBreakdown(entry, playerId) {
+    const isOpen = this.openBreakdown?.entry === entry && this.openBreakdown.playerId === playerId;
+    this.openBreakdown = isOpen ? null : { entry, playerId };
+    this.renderLeaderboard();
+  }
+
+  toggleOwnership(playerId) {
+    if (this.expandedOwnership.has(playerId)) {
+      this.expandedOwnership.delete(playerId);
+    } else {
+      this.expandedOwnership.add(playerId);
+    }
+    this.renderOwnership();
+  }
+
+  // ============================================
+  // Archive
+  // ============================================
+
+  async loadArchiveList() {
+    this.el.archiveFilter.style.display = 'none';
+    if (!this.useServerTable) return;
+    
+    try {
+      const { snapshots } = await this.fetchArchiveList(this.leagueId);
+      if (snapshots.length === 0) return;
+      
+      const gameweeks = snapshots.filter(s => s.kind === 'gameweek');
+      const months = snapshots.filter(s => s.kind === 'month');
+      
+      this.el.archiveFilter.innerHTML = `
+        <option value="">Live</option>
+        ${months.length > 0 ? `<optgroup label="Month final tables">
+          ${months.map(s => `<option value="month/${s.month}">${this.formatMonth(s.month, true)}</option>`).join('')}
+        </optgroup>` : ''}
+        <optgroup label="Gameweek final tables">
+          ${gameweeks.map(s => `<option value="gw/${s.gameweek}">GW${s.gameweek}</option>`).join('')}
+        </optgroup>
+      `;
+      this.el.archiveFilter.style.display = '';
+    } catch (error) {
+      // No archive on this deployment - just leave the selector hidden
+      console.warn('[FPL] Archive unavailable:', error.message);
+    }
+  }
+
+  // Show an archived snapshot ('gw/12' or 'month/2025-01'), or '' for the live table
+  async showArchive(value) {
+    if (!value) {
+      this.archiveView = null;
+    } else {
+      const [type, key] = value.split('/');
+      try {
+        this.archiveView = await this.fetchArchiveSnapshot(this.leagueId, type, key);
+      } catch (error) {
+        console.error('Failed to load archived table:', error);
+        this.archiveView = null;
+      }
+    }
+    
+    this.el.archiveFilter.value = this.archiveView ? value : '';
+    this.el.monthFilter.disabled = Boolean(this.archiveView);
+    this.el.gameweekFilter.disabled = Boolean(this.archiveView);
+    this.renderLeaderboard();
+  }
+
+  renderArchiveBanner() {
+    const snapshot = this.archiveView;
+    if (!snapshot) {
+      this.el.archiveBanner.style.display = 'none';
+      return;
+    }
+    
+    const savedAt = new Date(snapshot.savedAt).toLocaleString('en-GB', {
+      weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+    });
+    const label = snapshot.kind === 'month'
+      ? `${this.formatMonth(snapshot.month, true)} final table`
+      : `GW${snapshot.gameweek} final table (${this.formatMonth(snapshot.month)} monthly)`;
+    
+    this.el.archiveBanner.innerHTML = `
+      <span>📦 ${this.escapeHtml(label)} · saved ${savedAt}</span>
+      <button class="footer-link" data-action="live">Back to live</button>
+    `;
+    this.el.archiveBanner.style.display = 'flex';
   }
 
   // ============================================
@@ -1261,14 +1965,21 @@ class FPLLiveTable {
   showSetup() {
     this.el.leaderboardSection.style.display = 'none';
     this.el.setupSection.style.display = 'flex';
+    this.renderSavedLeagues();
     this.stopAutoRefresh();
+    this.stopLiveStream();
   }
 
   showLoading() {
+    this.setLoadingMessage('Fetching live data...');
     this.el.loadingIndicator.style.display = 'flex';
     this.el.errorMessage.style.display = 'none';
   }
 
+  setLoadingMessage(message) {
+    this.el.loadingIndicator.querySelector('p').textContent = message;
+  }
+
   hideLoading() {
     this.el.loadingIndicator.style.display = 'none';
   }
@@ -1281,10 +1992,28 @@ class FPLLiveTable {
 
   updateTimestamp() {
     const now = new Date();
-    this.el.lastUpdated.textContent = now.toLocaleTimeString('en-GB', { 
+    const time = now.toLocaleTimeString('en-GB', { 
       hour: '2-digit', 
       minute: '2-digit' 
     });
+    
+    // Flag when some of the data is the proxy's fallback copy
+    if (this.staleDataAge > 0) {
+      const minutes = Math.max(1, Math.round(this.staleDataAge / 60));
+      this.el.lastUpdated.textContent = `${time} · FPL updating (data ${minutes}m old)`;
+      this.el.lastUpdated.classList.add('stale');
+    } else {
+      this.el.lastUpdated.textContent = time;
+      this.el.lastUpdated.classList.remove('stale');
+    }
+  }
+
+  // Month key (YYYY-MM) as a label, e.g. 'January' or 'January 2025'
+  formatMonth(key, withYear = false) {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1).toLocaleDateString('en-GB', withYear
+      ? { month: 'long', year: 'numeric' }
+      : { month: 'long' });
   }
 
   escapeHtml(str) {
@@ -1420,6 +2149,7 @@ class FPLLiveTable {
                 <div class="details-item">
                   <span class="team-indicator" style="background-color: ${this.getTeamColor(g.teamCode)}; color: ${this.getTeamTextColor(g.teamCode)}">${g.teamName}</span>
                   <span class="player-name-detail">${g.name}</span>
+                  ${this.getOwnershipTag(g.id)}
                   <span class="event-icon">${g.count > 1 ? `×${g.count}` : ''}</span>
                 </div>
               `).join('') : '<div class="no-events">No goals</div>'}
@@ -1433,6 +2163,7 @@ class FPLLiveTable {
                 <div class="details-item">
                   <span class="team-indicator" style="background-color: ${this.getTeamColor(a.teamCode)}; color: ${this.getTeamTextColor(a.teamCode)}">${a.teamName}</span>
                   <span class="player-name-detail">${a.name}</span>
+                  ${this.getOwnershipTag(a.id)}
                   <span class="event-icon">${a.count > 1 ? `×${a.count}` : ''}</span>
                 </div>
               `).join('') : '<div class="no-events">No assists</div>'}
@@ -1447,6 +2178,7 @@ class FPLLiveTable {
                 <div class="details-item">
                   <span class="team-indicator" style="background-color: ${this.getTeamColor(og.teamCode)}; color: ${this.getTeamTextColor(og.teamCode)}">${og.teamName}</span>
                   <span class="player-name-detail">${og.name}</span>
+                  ${this.getOwnershipTag(og.id)}
                   <span class="event-icon">${og.count > 1 ? `×${og.count}` : ''}</span>
                 </div>
               `).join('')}
@@ -1461,6 +2193,7 @@ class FPLLiveTable {
                 <div class="details-item">
                   <span class="team-indicator" style="background-color: ${this.getTeamColor(c.teamCode)}; color: ${this.getTeamTextColor(c.teamCode)}">${c.teamName}</span>
                   <span class="player-name-detail">${c.name}</span>
+                  ${this.getOwnershipTag(c.id)}
                   <span class="card-icon ${c.cardType}"></span>
                 </div>
               `).join('') : '<div class="no-events">No cards</div>'}
@@ -1474,6 +2207,7 @@ class FPLLiveTable {
                 <div class="details-item">
                   <span class="team-indicator" style="background-color: ${this.getTeamColor(b.teamCode)}; color: ${this.getTeamTextColor(b.teamCode)}">${b.teamName}</span>
                   <span class="player-name-detail">${b.name}</span>
+                  ${this.getOwnershipTag(b.id)}
                   <span class="bonus-value">+${b.bonus}</span>
                 </div>
               `).join('') : '<div class="no-events">No bonus</div>'}
@@ -1490,6 +2224,15 @@ class FPLLiveTable {
     return card;
   }
 
+  // League effective ownership next to a player in the fixture details, e.g. "EO 130%"
+  getOwnershipTag(playerId) {
+    const player = this.getLeagueOwnership().byId.get(playerId);
+    if (!player) return '';
+    
+    const title = `League: owned ${Math.round(player.ownership)}%, captained ${Math.round(player.captaincy)}%`;
+    return `<span class="eo-tag" title="${title}">EO ${Math.round(player.effectiveOwnership)}%</span>`;
+  }
+
   getFixtureEvents(fixture) {
     const events = {
       goals: [],
@@ -1506,7 +2249,7 @@ class FPLLiveTable {
     const homeTeam = this.teams.get(fixture.team_h);
     const awayTeam = this.teams.get(fixture.team_a);
     
-    const playersInFixture = [];
+    const context = this.getScoringContext();
     
     this.liveData.elements.forEach(element => {
       const player = this.players.get(element.id);
@@ -1514,7 +2257,8 @@ class FPLLiveTable {
       
       if (player.team === fixture.team_h || player.team === fixture.team_a) {
         const team = player.team === fixture.team_h ? homeTeam : awayTeam;
-        const stats = element.stats || {};
+        // This fixture's stats only - in a double gameweek the live totals cover both games
+        const stats = FPLScoring.getPlayerFixtureStats(context, element.id, fixture);
         
         // Goals scored
         if (stats.goals_scored > 0) {
@@ -1572,56 +2316,23 @@ class FPLLiveTable {
             count: stats.red_cards
           });
         }
-        
-        // Collect BPS for bonus calculation
-        if (stats.minutes > 0) {
-          playersInFixture.push({
-            id: player.id,
-            name: player.web_name,
-            teamName: team?.short_name || '???',
-            teamCode: team?.code,
-            bps: stats.bps || 0,
-            apiBonus: stats.bonus || 0
-          });
-        }
       }
     });
     
-    // Calculate bonus points
-    // Check if any player has official bonus confirmed
-    const hasOfficialBonus = playersInFixture.some(p => p.apiBonus > 0);
-    events.bonusConfirmed = hasOfficialBonus;
-    
-    if (hasOfficialBonus) {
-      // Use official bonus
-      events.bonus = playersInFixture
-        .filter(p => p.apiBonus > 0)
-        .sort((a, b) => b.apiBonus - a.apiBonus)
-        .map(p => ({ ...p, bonus: p.apiBonus }));
-    } else if (playersInFixture.length > 0) {
-      // Calculate provisional from BPS
-      playersInFixture.sort((a, b) => b.bps - a.bps);
-      
-      let position = 1;
-      let i = 0;
-      
-      while (i < playersInFixture.length && position <= 3) {
-        const currentBps = playersInFixture[i].bps;
-        const tiedPlayers = [];
-        
-        while (i < playersInFixture.length && playersInFixture[i].bps === currentBps) {
-          tiedPlayers.push(playersInFixture[i]);
-          i++;
-        }
-        
-        const bonus = 4 - position;
-        tiedPlayers.forEach(p => {
-          events.bonus.push({ ...p, bonus });
-        });
-        
-        position += tiedPlayers.length;
-      }
-    }
+    // Official bonus once FPL awards it, otherwise provisional from BPS
+    const { confirmed, bonus } = FPLScoring.calculateFixtureBonus(fixture, context);
+    events.bonusConfirmed = confirmed;
+    events.bonus = bonus.map(b => {
+      const player = this.players.get(b.id);
+      const team = player?.team === fixture.team_h ? homeTeam : awayTeam;
+      return {
+        id: b.id,
+        name: player?.web_name || 'Unknown',
+        teamName: team?.short_name || '???',
+        teamCode: team?.code,
+        bonus: b.bonus
+      };
+    });
     
     // Sort events
     events.goals.sort((a, b) => b.count - a.count);
@@ -1652,16 +2363,82 @@ class FPLLiveTable {
   // ============================================
 
   startAutoRefresh() {
-    this.stopAutoRefresh();
-    this.refreshInterval = setInterval(() => {
-      this.refresh();
-    }, CONFIG.REFRESH_INTERVAL);
+    this.isPolling = true;
+    this.scheduleRefresh();
   }
 
   stopAutoRefresh() {
-    if (this.refreshInterval) {
-      clearInterval(this.refreshInterval);
-      this.refreshInterval = null;
+    this.isPolling = false;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  // Next poll - fast while a match is in play, slower while bonus is confirmed,
+  // otherwise asleep until the next kickoff. Nothing is scheduled in a hidden tab.
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    if (!this.isPolling || document.hidden) return;
+    
+    const delay = FPLScoring.getRefreshDelay(this.fixtures || [], Date.now(), CONFIG.REFRESH);
+    this.refreshTimer = setTimeout(async () => {
+      this.refreshTimer = null;
+      await this.refresh();
+      this.scheduleRefresh();
+    }, delay);
+  }
+
+  // Hidden: stop polling and drop the live stream. Visible again: catch up straight
+  // away, then carry on as when the league loaded.
+  handleVisibilityChange() {
+    if (!this.leagueId || this.el.leaderboardSection.style.display === 'none') return;
+    
+    if (document.hidden) {
+      this.stopAutoRefresh();
+      this.stopLiveStream();
+      return;
+    }
+    
+    this.refresh();
+    this.startAutoRefresh();
+    this.startLiveStream();
+  }
+
+  // ============================================
+  // Live Stream
+  // ============================================
+
+  startLiveStream() {
+    this.stopLiveStream();
+    if (!CONFIG.LIVE_STREAM || typeof EventSource === 'undefined') return;
+    
+    const source = new EventSource(`${CONFIG.API_BASE}/stream/league/${this.leagueId}`);
+    let hasConnected = false;
+    
+    // Connected - the server tells us when something changes, so stop polling.
+    // After a reconnect, catch up on anything missed while disconnected.
+    source.addEventListener('open', () => {
+      this.stopAutoRefresh();
+      if (hasConnected) this.refresh();
+      hasConnected = true;
+    });
+    
+    // Live points or fixtures changed on the server
+    source.addEventListener('update', () => this.refresh());
+    
+    // Dropped or unavailable - poll meanwhile (EventSource reconnects by itself
+    // unless the endpoint doesn't exist, in which case polling just carries on)
+    source.addEventListener('error', () => {
+      if (!this.isPolling) this.startAutoRefresh();
+    });
+    
+    this.eventSource = source;
+  }
+
+  stopLiveStream() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
     }
   }
 }
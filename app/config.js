@@ -23,8 +23,13 @@ const CONFIG = {
   // APP SETTINGS
   // ==================================================
   
-  // Auto-refresh interval in milliseconds (2 minutes)
-  REFRESH_INTERVAL: 2 * 60 * 1000,
+  // Auto-refresh timing in milliseconds, driven by the fixtures (see FPLScoring.getRefreshDelay).
+  // Background tabs don't poll at all, and catch up as soon as they're visible again.
+  REFRESH: {
+    LIVE: 30 * 1000,               // 30 seconds - a match is in play
+    BONUS: 2 * 60 * 1000,          // 2 minutes - full time, bonus not confirmed yet
+    MAX_SLEEP: 60 * 60 * 1000,     // 1 hour - longest wait for the next kickoff
+  },
   
   // Cache timeout for different data types (milliseconds)
   CACHE: {
@@ -38,13 +43,30 @@ const CONFIG = {
   // Maximum concurrent API requests
   MAX_CONCURRENT_REQUESTS: 10,
   
-  // Default league ID - auto-loads on startup
+  // Managers scored per league, top-down by overall rank (standings come 50 a page).
+  // Bigger leagues get a "Load more" button that scores the next batch.
+  MAX_MANAGERS: 250,
+  
+  // Players listed in the league ownership panel before "Show all"
+  OWNERSHIP_PLAYERS: 20,
+  
+  // Use the league table scored by server.js (/league/{id}/live) instead of
+  // fetching every manager's history and picks in the browser.
+  // Falls back automatically when API_BASE is a plain FPL proxy.
+  SERVER_TABLE: true,
+  
+  // Subscribe to server.js live updates (/stream/league/{id}) instead of polling.
+  // Polling on the REFRESH schedule takes over whenever the stream is unavailable.
+  LIVE_STREAM: true,
+  
+  // Default league ID - auto-loads on startup when neither the URL nor this browser has picked one
   DEFAULT_LEAGUE_ID: 539861,
 };
 
 // Freeze config to prevent accidental modifications
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.CACHE);
+Object.freeze(CONFIG.REFRESH);
 
 // Export for use in app
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,1248 @@
+/**
+ * FPL Live Scoring
+ *
+ * Pure live-scoring rules shared by the browser (app.js), the server (server.js)
+ * and the simulation (test-server.js): provisional bonus, local auto-subs,
+ * per-player and per-manager live points, the monthly league table, league
+ * ownership, manager comparisons, the gaps around one manager and when to refresh.
+ *
+ * Nothing here touches the DOM or the network - every function works on plain
+ * FPL API data, wrapped in a scoring context built once per refresh:
+ *
+ *   const context = FPLScoring.createContext({ bootstrap, liveData, fixtures, gameweek });
+ *   FPLScoring.calculatePlayerPoints(picks, context); // One result per pick
+ *   FPLScoring.calculateLiveInfo(picks, context);     // Manager's live total
+ */
+
+const FPLScoring = (() => {
+  // ============================================
+  // Context
+  // ============================================
+
+  /**
+   * Build the shared context for one gameweek's live data.
+   * players: Map of element id -> bootstrap element (or pass bootstrap instead)
+   * bootstrap: /bootstrap-static/ response, used when players isn't given
+   * liveData: /event/{gw}/live/ response
+   * fixtures: /fixtures/ response
+   * gameweek: the gameweek being scored
+   * chips: bootstrap `chips` list (taken from bootstrap when not given)
+   */
+  function createContext({ players, bootstrap, liveData, fixtures, gameweek, chips }) {
+    const context = {
+      players: players || new Map((bootstrap?.elements || []).map(p => [p.id, p])),
+      chips: new Map((chips || bootstrap?.chips || []).map(c => [c.name, c])),
+      liveData,
+      fixtures,
+      gameweek,
+      // Live elements by id - avoids scanning ~700 elements for every pick
+      liveElements: new Map((liveData?.elements || []).map(e => [e.id, e])),
+      // Gameweek fixtures by team - two in a double gameweek, none in a blank
+      teamFixtures: new Map(),
+    };
+
+    (fixtures || []).filter(f => f.event === gameweek).forEach(fixture => {
+      [fixture.team_h, fixture.team_a].forEach(team => {
+        if (!context.teamFixtures.has(team)) {
+          context.teamFixtures.set(team, []);
+        }
+        context.teamFixtures.get(team).push(fixture);
+      });
+    });
+
+    // Provisional bonus only depends on the gameweek, so compute it once
+    context.provisionalBonus = calculateProvisionalBonus(context);
+
+    return context;
+  }
+
+  // Find the gameweek fixtures a player's team is playing in (empty for a blank)
+  function findPlayerFixtures(context, player) {
+    if (!player) return [];
+    return context.teamFixtures.get(player.team) || [];
+  }
+
+  function isFinished(fixture) {
+    return Boolean(fixture.finished || fixture.finished_provisional);
+  }
+
+  /**
+   * A player's stats for one fixture (identifier -> value, e.g. { minutes: 90,
+   * goals_scored: 1 }), from the live `explain` breakdown. Without one, a player
+   * with a single fixture falls back to their gameweek totals - in a double
+   * gameweek those would mix both games, so they get nothing instead.
+   */
+  function getPlayerFixtureStats(context, playerId, fixture) {
+    const element = context.liveElements.get(playerId);
+    const explain = element?.explain?.find(e => e.fixture === fixture.id);
+
+    if (explain) {
+      const stats = {};
+      explain.stats.forEach(stat => {
+        stats[stat.identifier] = stat.value;
+      });
+      return stats;
+    }
+
+    const fixtureCount = findPlayerFixtures(context, context.players.get(playerId)).length;
+    return fixtureCount === 1 ? (element?.stats || {}) : {};
+  }
+
+  // ============================================
+  // Chips
+  // ============================================
+
+  // What the chips we know change about live scoring - Wildcard, Free Hit and
+  // chips FPL adds later only change the squad, which the picks already show
+  const CHIP_RULES = {
+    bboost: { benchBoost: true },
+    '3xc': { captainMultiplier: 3 },
+  };
+
+  /**
+   * Live scoring rules for a chip (or null for none): { captainMultiplier,
+   * benchBoost }. A multiplier in the bootstrap chip's overrides wins over ours,
+   * and a chip we don't know scores like no chip at all.
+   */
+  function getChipRules(context, name) {
+    const rules = CHIP_RULES[name] || {};
+    return {
+      captainMultiplier: context.chips.get(name)?.overrides?.pick_multiplier || rules.captainMultiplier || 2,
+      benchBoost: Boolean(rules.benchBoost),
+    };
+  }
+
+  // ============================================
+  // Assistant Manager
+  // ============================================
+
+  // The Assistant Manager chip adds a 16th pick, a manager (element_type 5),
+  // who scores from their team's results rather than from playing
+  const MANAGER_ELEMENT_TYPE = 5;
+  const MANAGER_POINTS = { mng_win: 6, mng_draw: 3, mng_goals_scored: 1, mng_clean_sheets: 2 };
+
+  function isManager(player) {
+    return player?.element_type === MANAGER_ELEMENT_TYPE;
+  }
+
+  // A manager's scoring lines for one fixture, from the score so far. FPL's
+  // underdog bonus depends on the league table, so it only comes with FPL's data.
+  function getManagerFixtureLines(fixture, team) {
+    if (!fixture.started) return [];
+
+    const isHome = fixture.team_h === team;
+    const scored = (isHome ? fixture.team_h_score : fixture.team_a_score) || 0;
+    const conceded = (isHome ? fixture.team_a_score : fixture.team_h_score) || 0;
+    const line = (identifier, value) => ({ identifier, value, points: value * MANAGER_POINTS[identifier] });
+
+    const lines = [];
+    if (scored > conceded) lines.push(line('mng_win', 1));
+    if (scored === conceded) lines.push(line('mng_draw', 1));
+    if (scored > 0) lines.push(line('mng_goals_scored', scored));
+    if (conceded === 0) lines.push(line('mng_clean_sheets', 1));
+    return lines;
+  }
+
+  // A manager's live points - FPL's own once the live data breaks them down,
+  // otherwise worked out from their team's fixtures
+  function getManagerPoints(context, managerId) {
+    const element = context.liveElements.get(managerId);
+    if (element?.explain?.length) return element.stats?.total_points || 0;
+
+    const player = context.players.get(managerId);
+    return findPlayerFixtures(context, player)
+      .flatMap(fixture => getManagerFixtureLines(fixture, player.team))
+      .reduce((sum, line) => sum + line.points, 0);
+  }
+
+  // ============================================
+  // Gameweeks & Months
+  // ============================================
+
+  function getCurrentGameweek(eventStatus, events) {
+    // Try to find active gameweek from status
+    const active = eventStatus?.status?.find(s => s.event);
+    if (active) return active.event;
+
+    // Fallback: find current gameweek from events
+    const now = new Date();
+    const currentEvent = events?.find(e => {
+      const deadline = new Date(e.deadline_time);
+      return e.is_current || (deadline > now && e.is_next);
+    });
+
+    return currentEvent?.id || 1;
+  }
+
+  // Map of gameweek -> earliest kickoff date
+  function buildGameweekDates(fixtures) {
+    const gameweekDates = new Map();
+
+    fixtures.forEach(fixture => {
+      if (fixture.event && fixture.kickoff_time) {
+        const gw = fixture.event;
+        const date = new Date(fixture.kickoff_time);
+
+        // Store earliest kickoff for each gameweek
+        if (!gameweekDates.has(gw) || date < gameweekDates.get(gw)) {
+          gameweekDates.set(gw, date);
+        }
+      }
+    });
+
+    return gameweekDates;
+  }
+
+  // Month key in YYYY-MM format (e.g. '2025-01' for January)
+  function getMonthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+  ];
+
+  /**
+   * Map of month key -> gameweeks in that month (sorted).
+   * Uses FPL's official monthly phases (bootstrap-static `phases`) when there are
+   * any - the monthly prizes follow those - and otherwise falls back to the month
+   * of each gameweek's earliest kickoff.
+   */
+  function buildMonthGameweeks(gameweekDates, phases = []) {
+    const monthGameweeks = new Map();
+
+    phases.forEach(phase => {
+      // Month phases are named 'August', 'September'...; skip 'Overall' and anything else
+      const monthIndex = MONTH_NAMES.findIndex(name =>
+        phase.name?.toLowerCase().startsWith(name.slice(0, 3).toLowerCase())
+      );
+      const date = gameweekDates.get(phase.start_event) || gameweekDates.get(phase.stop_event);
+      if (monthIndex === -1 || !date) return;
+
+      const gameweeks = [];
+      for (let gw = phase.start_event; gw <= phase.stop_event; gw++) {
+        gameweeks.push(gw);
+      }
+      monthGameweeks.set(getPhaseMonthKey(monthIndex, date), gameweeks);
+    });
+
+    if (monthGameweeks.size > 0) return monthGameweeks;
+
+    // No phases - group gameweeks by the month of their first kickoff
+    gameweekDates.forEach((date, gw) => {
+      const key = getMonthKey(date);
+      if (!monthGameweeks.has(key)) monthGameweeks.set(key, []);
+      monthGameweeks.get(key).push(gw);
+    });
+    monthGameweeks.forEach(gameweeks => gameweeks.sort((a, b) => a - b));
+
+    return monthGameweeks;
+  }
+
+  // Phase names have no year - use the one that puts the month nearest its first
+  // gameweek (a 'January' phase can start with a late-December kickoff)
+  function getPhaseMonthKey(monthIndex, date) {
+    const distance = (year) => Math.abs(new Date(year, monthIndex, 15) - date);
+    const year = [date.getFullYear() - 1, date.getFullYear() + 1]
+      .reduce((best, y) => distance(y) < distance(best) ? y : best, date.getFullYear());
+
+    return `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+  }
+
+  // Month key containing a gameweek, or null
+  function getMonthForGameweek(monthGameweeks, gameweek) {
+    for (const [key, gameweeks] of monthGameweeks) {
+      if (gameweeks.includes(gameweek)) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Available month keys (sorted) and the default month - the month containing
+   * the CURRENT GAMEWEEK (not calendar month), so the active competition shows.
+   */
+  function buildMonths(monthGameweeks, currentGameweek) {
+    // Keys are YYYY-MM so a plain sort is chronological
+    const availableMonths = Array.from(monthGameweeks.keys()).sort();
+
+    // Fall back to most recent month if current GW month not found
+    const defaultMonth = getMonthForGameweek(monthGameweeks, currentGameweek)
+      || availableMonths[availableMonths.length - 1];
+
+    return { months: availableMonths, defaultMonth };
+  }
+
+  function getGameweeksForMonth(monthGameweeks, monthKey) {
+    return monthGameweeks.get(monthKey) || [];
+  }
+
+  // ============================================
+  // Live Points
+  // ============================================
+
+  // Players who've played in a fixture, with their BPS and any official bonus for it
+  function getFixturePlayers(fixture, context) {
+    const { liveData, players } = context;
+    const fixturePlayers = [];
+
+    // FPL's per-fixture BPS - a double gameweek player's live total covers both games
+    const fixtureBps = new Map();
+    (fixture.stats || []).filter(stat => stat.identifier === 'bps').forEach(stat => {
+      [...(stat.h || []), ...(stat.a || [])].forEach(entry => fixtureBps.set(entry.element, entry.value));
+    });
+
+    liveData.elements.forEach(element => {
+      const player = players.get(element.id);
+      if (player && (player.team === fixture.team_h || player.team === fixture.team_a)) {
+        const stats = getPlayerFixtureStats(context, element.id, fixture);
+
+        // Only include players who have played (minutes > 0)
+        if (stats.minutes > 0) {
+          const isOnlyFixture = findPlayerFixtures(context, player).length === 1;
+          fixturePlayers.push({
+            id: element.id,
+            bps: fixtureBps.get(element.id) ?? (isOnlyFixture ? element.stats?.bps || 0 : 0),
+            apiBonus: stats.bonus || 0,
+          });
+        }
+      }
+    });
+
+    return fixturePlayers;
+  }
+
+  // Award bonus points (3, 2, 1) by BPS - returns [{ id, bps, bonus }], highest first
+  function awardBonus(fixturePlayers) {
+    const sorted = [...fixturePlayers].sort((a, b) => b.bps - a.bps);
+    const awarded = [];
+
+    // FPL rules: tied players share same bonus, next position(s) skipped
+    // - Two tied 1st: both get 3, next gets 1
+    // - Two tied 2nd: 1st gets 3, both get 2, no 3rd
+    // - Two tied 3rd: 1st gets 3, 2nd gets 2, BOTH get 1 (4 players can get bonus)
+    let position = 1; // Track position (1st, 2nd, 3rd)
+    let i = 0;
+
+    while (i < sorted.length && position <= 3) {
+      const currentBps = sorted[i].bps;
+
+      // Find all players tied at this BPS
+      const tiedPlayers = [];
+      while (i < sorted.length && sorted[i].bps === currentBps) {
+        tiedPlayers.push(sorted[i]);
+        i++;
+      }
+
+      // Calculate bonus for this position (3 for 1st, 2 for 2nd, 1 for 3rd)
+      const bonus = 4 - position;
+
+      // All tied players get the same bonus
+      tiedPlayers.forEach(p => {
+        awarded.push({ id: p.id, bps: p.bps, bonus });
+      });
+
+      // Move position forward by number of tied players
+      position += tiedPlayers.length;
+    }
+
+    return awarded;
+  }
+
+  /**
+   * Calculate provisional bonus from BPS scores for each fixture that FPL hasn't
+   * confirmed bonus for yet - confirmed bonus is already in total_points. In a
+   * double gameweek a player's bonus from both games is added together.
+   */
+  function calculateProvisionalBonus(context) {
+    const { fixtures, liveData, players, gameweek } = context;
+    if (!fixtures || !liveData?.elements || !players) {
+      return new Map();
+    }
+
+    const bonusMap = new Map(); // playerId -> provisional bonus points
+
+    // Get current GW fixtures that have started
+    fixtures
+      .filter(f => f.event === gameweek && f.started)
+      .forEach(fixture => {
+        const fixturePlayers = getFixturePlayers(fixture, context);
+        if (fixturePlayers.some(p => p.apiBonus > 0)) return; // Official bonus is in
+
+        awardBonus(fixturePlayers).forEach(p => {
+          bonusMap.set(p.id, (bonusMap.get(p.id) || 0) + p.bonus);
+        });
+      });
+
+    return bonusMap;
+  }
+
+  /**
+   * Bonus for one fixture: FPL's official bonus once any has been awarded,
+   * otherwise provisional bonus from BPS.
+   * Returns { confirmed, bonus: [{ id, bps, bonus }] }, highest bonus first.
+   */
+  function calculateFixtureBonus(fixture, context) {
+    if (!context.liveData?.elements || !context.players || !fixture.started) {
+      return { confirmed: false, bonus: [] };
+    }
+
+    const fixturePlayers = getFixturePlayers(fixture, context);
+    const confirmed = fixturePlayers.some(p => p.apiBonus > 0);
+
+    const bonus = confirmed
+      ? fixturePlayers.filter(p => p.apiBonus > 0).map(p => ({ id: p.id, bps: p.bps, bonus: p.apiBonus }))
+      : awardBonus(fixturePlayers);
+
+    return { confirmed, bonus: bonus.sort((a, b) => b.bonus - a.bonus) };
+  }
+
+  // Valid formations (by element_type): 1 GK, 3-5 DEF, 2-5 MID, 1-3 FWD
+  const FORMATION_LIMITS = { 1: [1, 1], 2: [3, 5], 3: [2, 5], 4: [1, 3] };
+
+  // A player is out of the gameweek once all their fixtures finish without them playing -
+  // straight away in a blank gameweek, but not until the second game of a double
+  function hasMissedGameweek(context, playerId) {
+    const player = context.players.get(playerId);
+    if (!player) return false;
+
+    const minutes = context.liveElements.get(playerId)?.stats?.minutes || 0;
+    return minutes === 0 && findPlayerFixtures(context, player).every(isFinished);
+  }
+
+  // Whether a bench player can come on: 'played', 'missed' (all fixtures over, or a
+  // blank, with 0 minutes) or 'pending' (a fixture still to finish, so they still could)
+  function getBenchStatus(context, playerId) {
+    const minutes = context.liveElements.get(playerId)?.stats?.minutes || 0;
+    if (minutes > 0) return 'played';
+
+    const player = context.players.get(playerId);
+    if (findPlayerFixtures(context, player).every(isFinished)) return 'missed';
+
+    return 'pending';
+  }
+
+  // Can a player of typeIn come on for one of typeOut? `formation` counts the players
+  // who will actually play - the position left short must still reach its minimum, and
+  // the incoming player mustn't take their own position over its maximum
+  function isValidSwap(formation, typeOut, typeIn) {
+    const after = { ...formation };
+    after[typeIn]++;
+
+    return after[typeOut] >= FORMATION_LIMITS[typeOut][0] && after[typeIn] <= FORMATION_LIMITS[typeIn][1];
+  }
+
+  /**
+   * Calculate auto-subs locally when FPL API hasn't processed them yet,
+   * following docs/auto-sub-logic.md. Returns { confirmed, pending }:
+   *   confirmed: subs that will happen - { element_in, element_out, entry, event }
+   *   pending:   starters who need a sub that can't be decided yet, because an eligible
+   *              bench player ahead in bench order hasn't finished their fixture -
+   *              { element_out, possible_in, entry, event }
+   */
+  function calculateLocalAutoSubs(picks, context) {
+    const { liveData, fixtures, players, gameweek } = context;
+    if (!picks?.picks || !liveData?.elements || !fixtures || !players) {
+      return { confirmed: [], pending: [] };
+    }
+
+    // If FPL has already processed auto-subs, use those
+    if (picks.automatic_subs && picks.automatic_subs.length > 0) {
+      return { confirmed: picks.automatic_subs, pending: [] };
+    }
+
+    // Bench Boost: the whole squad counts, so nobody gets subbed
+    if (getChipRules(context, picks.active_chip).benchBoost) {
+      return { confirmed: [], pending: [] };
+    }
+
+    const starting = picks.picks.slice(0, 11);
+    // Positions 12-15, in priority order - an Assistant Manager is never a sub
+    const bench = picks.picks.slice(11).filter(pick => !isManager(players.get(pick.element)));
+    const typeOf = (pick) => players.get(pick.element)?.element_type;
+
+    // Starters needing a sub (0 minutes, fixture finished), in pick order: GK, DEF, MID, FWD
+    const needsSub = starting.filter(pick => typeOf(pick) && hasMissedGameweek(context, pick.element));
+
+    // Formation of the XI as it will play - starters not needing a sub, plus subs as
+    // they're confirmed. Position: 1=GK, 2=DEF, 3=MID, 4=FWD
+    const formation = { 1: 0, 2: 0, 3: 0, 4: 0 };
+    starting.forEach(pick => {
+      if (typeOf(pick) && !needsSub.includes(pick)) formation[typeOf(pick)]++;
+    });
+
+    const confirmed = [];
+    const pending = [];
+    const usedBench = new Set(); // Each bench player can only come on once
+
+    for (const pick of needsSub) {
+      for (const benchPick of bench) {
+        if (usedBench.has(benchPick.element) || !typeOf(benchPick)) continue;
+
+        // Formation rules come first: a bench player who can't fill this slot is
+        // skipped whether or not they've played (they stay available for other subs)
+        if (!isValidSwap(formation, typeOf(pick), typeOf(benchPick))) continue;
+
+        const status = getBenchStatus(context, benchPick.element);
+
+        // Didn't play - try the next bench player
+        if (status === 'missed') continue;
+
+        // Could still play, and would come on ahead of anyone below - can't decide yet
+        if (status === 'pending') {
+          pending.push({ element_out: pick.element, possible_in: benchPick.element, entry: picks.entry, event: gameweek });
+          break;
+        }
+
+        // Valid sub found!
+        confirmed.push({ element_in: benchPick.element, element_out: pick.element, entry: picks.entry, event: gameweek });
+        usedBench.add(benchPick.element);
+        formation[typeOf(benchPick)]++;
+        break;
+      }
+    }
+
+    return { confirmed, pending };
+  }
+
+  /**
+   * Who wears the armband. FPL passes it to the vice-captain when the captain
+   * doesn't play - decided here once the captain's fixture has finished with 0
+   * minutes, and only if the vice hasn't missed out too (then nobody doubles).
+   * Returns { captain, viceCaptain, acting, promoted, multiplier } (element IDs).
+   */
+  function resolveCaptaincy(picks, context) {
+    const captain = picks.picks.find(p => p.is_captain)?.element ?? null;
+    const viceCaptain = picks.picks.find(p => p.is_vice_captain)?.element ?? null;
+
+    const promoted = captain !== null && viceCaptain !== null &&
+      hasMissedGameweek(context, captain) && !hasMissedGameweek(context, viceCaptain);
+
+    return {
+      captain,
+      viceCaptain,
+      acting: promoted ? viceCaptain : captain,
+      promoted,
+      // Triple Captain moves with the armband
+      multiplier: getChipRules(context, picks.active_chip).captainMultiplier,
+    };
+  }
+
+  // 'blank' (no fixture), 'finished' (all over), 'playing' (one in progress) or 'upcoming'
+  function getFixtureStatus(fixtures) {
+    if (fixtures.length === 0) return 'blank';
+    if (fixtures.every(isFinished)) return 'finished';
+    if (fixtures.some(f => f.started && !isFinished(f))) return 'playing';
+    return 'upcoming';
+  }
+
+  // Score every pick once: per-player results plus the subs and armband behind them
+  function scorePicks(picks, context) {
+    const { players, liveElements, provisionalBonus } = context;
+
+    // Check for active chip
+    const isBenchBoost = getChipRules(context, picks.active_chip).benchBoost;
+
+    // Process automatic substitutions - use local calculation if API hasn't processed yet
+    // (pending subs don't count until they're decided)
+    const { confirmed: autoSubs, pending: pendingSubs } = calculateLocalAutoSubs(picks, context);
+    const subbedOut = new Set(autoSubs.map(sub => sub.element_out));
+    const subbedIn = new Set(autoSubs.map(sub => sub.element_in));
+    const subPending = new Set(pendingSubs.map(sub => sub.element_out));
+
+    // Captain, or the vice-captain if the armband has passed
+    const captaincy = resolveCaptaincy(picks, context);
+
+    const playerPoints = picks.picks.map((pick, index) => {
+      const player = players.get(pick.element);
+      const stats = liveElements.get(pick.element)?.stats || {};
+      const playerFixtures = findPlayerFixtures(context, player);
+
+      // Assistant Manager - scores from results, always counts, never on the bench
+      const isAssistantManager = isManager(player);
+
+      // Get base points from API
+      const basePoints = stats.total_points || 0;
+      const apiBonus = stats.bonus || 0;
+
+      // IMPORTANT: Once FPL confirms bonus, total_points ALREADY includes it
+      // So provisional bonus only covers fixtures still waiting on official bonus
+      const calcBonus = provisionalBonus.get(pick.element) || 0;
+      const points = isAssistantManager ? getManagerPoints(context, pick.element) : basePoints + calcBonus;
+
+      const isBench = index >= 11 && !isAssistantManager;
+      const wasSubbedOut = subbedOut.has(pick.element);
+      const wasSubbedIn = subbedIn.has(pick.element);
+
+      // Points count if:
+      // - They're in starting 11 and NOT subbed out, OR
+      // - They're on bench and were subbed in, OR
+      // - Bench Boost is active and they're on bench
+      const pointsCount = (!isBench && !wasSubbedOut) || wasSubbedIn || (isBenchBoost && isBench);
+
+      // Apply multiplier (2 for the acting captain, 3 for triple captain, otherwise 1)
+      // Not pick.multiplier - that stays on the original captain if the armband passes
+      const isActingCaptain = pick.element === captaincy.acting;
+      const multiplier = isActingCaptain ? captaincy.multiplier : 1;
+
+      return {
+        id: pick.element,
+        name: player?.web_name || 'Unknown',
+        position: player?.element_type || 0, // 1=GK, 2=DEF, 3=MID, 4=FWD
+        points,
+        // For display: official bonus plus any still provisional
+        bonusPoints: apiBonus + calcBonus,
+        effectivePoints: pointsCount ? points * multiplier : 0,
+        multiplier,
+        isCaptain: pick.is_captain,
+        isViceCaptain: pick.is_vice_captain,
+        isActingCaptain,
+        armbandPassed: captaincy.promoted && pick.is_captain, // Captain who didn't play
+        // A manager has "played" once their team kicks off
+        hasPlayed: isAssistantManager ? playerFixtures.some(f => f.started) : (stats.minutes || 0) > 0,
+        minutes: stats.minutes || 0,
+        isBench,
+        isAssistantManager,
+        wasSubbedOut,
+        wasSubbedIn,
+        subPending: subPending.has(pick.element),
+        pointsCount,
+        fixtureStatus: getFixtureStatus(playerFixtures),
+        // Each gameweek fixture - two in a double gameweek, none in a blank
+        fixtures: playerFixtures.map(fixture => {
+          const isHome = fixture.team_h === player.team;
+          return {
+            id: fixture.id,
+            opponent: isHome ? fixture.team_a : fixture.team_h,
+            isHome,
+            status: getFixtureStatus([fixture]),
+            minutes: getPlayerFixtureStats(context, pick.element, fixture).minutes || 0,
+          };
+        }),
+      };
+    });
+
+    return { playerPoints, autoSubs, pendingSubs, captaincy };
+  }
+
+  /**
+   * Per-player live results for a manager's picks, in pick order: points (with
+   * provisional bonus), whether they count after auto-subs and chips, and
+   * effective points with the armband.
+   */
+  function calculatePlayerPoints(picks, context) {
+    if (!picks?.picks) return [];
+    return scorePicks(picks, context).playerPoints;
+  }
+
+  /**
+   * Every scoring line behind a player's live points, from the live `explain`
+   * data: { fixtures: [{ id, lines: [{ identifier, value, points }] }],
+   * provisionalBonus, subtotal, multiplier, total }. Provisional bonus stays out
+   * of the lines (official bonus is one of them once FPL confirms it), and the
+   * multiplier - 2 for the acting captain, 3 for Triple Captain - comes last.
+   */
+  function calculatePointsBreakdown(playerId, multiplier, context) {
+    const element = context.liveElements.get(playerId);
+    const player = context.players.get(playerId);
+
+    let fixtures = findPlayerFixtures(context, player).map(fixture => {
+      const explain = element?.explain?.find(e => e.fixture === fixture.id);
+      return {
+        id: fixture.id,
+        lines: explain
+          ? explain.stats.map(({ identifier, value, points }) => ({ identifier, value, points }))
+          // An Assistant Manager's lines can be worked out from the score
+          : isManager(player) && !element?.explain?.length ? getManagerFixtureLines(fixture, player.team) : [],
+      };
+    });
+
+    // No breakdown from FPL - a single line with the total
+    if (!element?.explain && element?.stats?.total_points && !isManager(player)) {
+      fixtures = [{ id: null, lines: [{ identifier: 'total_points', value: null, points: element.stats.total_points }] }];
+    }
+
+    const provisionalBonus = context.provisionalBonus.get(playerId) || 0;
+    const subtotal = fixtures.reduce((sum, f) => sum + f.lines.reduce((s, line) => s + line.points, 0), 0) + provisionalBonus;
+
+    return { fixtures, provisionalBonus, subtotal, multiplier, total: subtotal * multiplier };
+  }
+
+  // Per-manager live result: points, players played, captain, chip and subs
+  function calculateLiveInfo(picks, context) {
+    const { liveData, players, liveElements } = context;
+    if (!picks?.picks || !liveData?.elements) {
+      return { played: 0, captainName: null, captainPlayed: false, captainPromoted: false, bonusPoints: 0, activeChip: null, grossPoints: 0, transferCost: 0, livePoints: 0, autoSubs: [], pendingSubs: [], playerPoints: [] };
+    }
+
+    const activeChip = picks.active_chip;
+    const { playerPoints, autoSubs, pendingSubs, captaincy } = scorePicks(picks, context);
+
+    // Calculate points and played count (an Assistant Manager adds points, not a player)
+    const counting = playerPoints.filter(p => p.pointsCount && p.hasPlayed);
+    const grossPoints = counting.reduce((sum, p) => sum + p.effectivePoints, 0);
+
+    // Captain column shows whoever is actually captaining
+    let captainName = null;
+    let captainPlayed = false;
+    if (captaincy.acting !== null) {
+      captainName = players.get(captaincy.acting)?.web_name || 'Unknown';
+      captainPlayed = (liveElements.get(captaincy.acting)?.stats?.minutes || 0) > 0;
+    }
+
+    // For bench boost, count all 15 potential players
+    const maxPlayers = getChipRules(context, activeChip).benchBoost ? 15 : 11;
+
+    // Points hit for extra transfers (e.g. 8 for a -8) - livePoints is net of it
+    const transferCost = picks.entry_history?.event_transfers_cost || 0;
+
+    return {
+      played: counting.filter(p => !p.isAssistantManager).length,
+      maxPlayers,
+      captainName,
+      captainPlayed,
+      captainPromoted: captaincy.promoted,
+      bonusPoints: 0,
+      activeChip,
+      grossPoints,
+      transferCost,
+      livePoints: grossPoints - transferCost,
+      autoSubs,
+      pendingSubs,
+      playerPoints,
+    };
+  }
+
+  // ============================================
+  // League Table
+  // ============================================
+
+  /**
+   * Score every manager for a month.
+   * managers: standings results
+   * managerData: Map of entry -> { history, picks }
+   * monthGameweeks: gameweeks in the selected month
+   */
+  function calculateScores(managers, managerData, monthGameweeks, context) {
+    const currentGameweek = context.gameweek;
+
+    return managers.map(manager => {
+      const data = managerData.get(manager.entry);
+      if (!data) {
+        return {
+          ...manager,
+          gameweekPoints: 0,
+          monthlyPoints: 0,
+          previousMonthlyPoints: 0,
+          playedPlayers: 0,
+          maxPlayers: 11,
+          captain: null,
+          captainPlayed: false,
+          captainPromoted: false,
+          activeChip: null,
+          grossPoints: 0,
+          transferCost: 0,
+          livePoints: 0,
+          previousGameweekPoints: 0,
+          previousTotal: manager.total,
+          liveTotal: manager.total,
+          autoSubs: [],
+          picks: null,
+        };
+      }
+
+      // Calculate live score (includes bonus points)
+      const liveInfo = calculateLiveInfo(data.picks, context);
+
+      // Use live calculated points for current gameweek (more accurate during live matches),
+      // net of any transfer hit
+      const gameweekPoints = liveInfo.livePoints;
+
+      // Monthly points: sum historical GWs in month (excluding current) + current live points
+      let monthlyPointsBeforeCurrentGW = 0;
+      if (data.history?.current) {
+        data.history.current.forEach(h => {
+          // Only add historical points for GWs in this month before the current one - later
+          // ones exist when looking back at a past gameweek (history points are before hits,
+          // so deduct them here too)
+          if (monthGameweeks.includes(h.event) && h.event < currentGameweek) {
+            monthlyPointsBeforeCurrentGW += h.points - (h.event_transfers_cost || 0);
+          }
+        });
+      }
+
+      // Calculate current monthly total
+      let monthlyPoints = monthlyPointsBeforeCurrentGW;
+      if (monthGameweeks.includes(currentGameweek)) {
+        monthlyPoints += gameweekPoints;
+      }
+
+      // Season total before this gameweek (history totals are after hits), plus live points
+      const before = (data.history?.current || []).filter(h => h.event < currentGameweek);
+      const lastGameweek = before[before.length - 1];
+      const previousTotal = lastGameweek ? lastGameweek.total_points : (manager.total || 0) - (manager.event_total || 0);
+      const previous = before.find(h => h.event === currentGameweek - 1);
+
+      return {
+        ...manager,
+        gameweekPoints,
+        monthlyPoints,
+        previousMonthlyPoints: monthlyPointsBeforeCurrentGW, // Points before current GW
+        playedPlayers: liveInfo.played,
+        maxPlayers: liveInfo.maxPlayers || 11,
+        captain: liveInfo.captainName,
+        captainPlayed: liveInfo.captainPlayed,
+        captainPromoted: liveInfo.captainPromoted,
+        activeChip: liveInfo.activeChip,
+        grossPoints: liveInfo.grossPoints,
+        transferCost: liveInfo.transferCost,
+        livePoints: liveInfo.livePoints,
+        previousGameweekPoints: previous ? previous.points - (previous.event_transfers_cost || 0) : 0,
+        previousTotal,
+        liveTotal: previousTotal + gameweekPoints,
+        autoSubs: liveInfo.autoSubs,
+        picks: data.picks, // Store picks for player detail view
+      };
+    });
+  }
+
+  // ============================================
+  // League Ownership
+  // ============================================
+
+  /**
+   * Ownership of every player picked in the league, highest effective ownership
+   * first: { id, name, team, points, owners, captains, ownership, captaincy,
+   * effectiveOwnership, gainers, losers }. Percentages are of managers with picks.
+   *
+   * Effective ownership adds up each manager's live multiplier for the player
+   * (0 benched or subbed out, 2 captain, 3 Triple Captain), so at 150% every
+   * point the player scores is worth 1.5 to the average manager. Managers above
+   * that gain ground when the player returns, the rest (owners or not) lose it -
+   * gainers and losers list { entry, player_name, owned, multiplier, swing }, where swing
+   * is the points gained on the league per point scored.
+   */
+  function calculateOwnership(managers, managerData, context) {
+    const { players, liveElements, provisionalBonus } = context;
+    const byPlayer = new Map();
+
+    const counted = managers.filter(manager => managerData.get(manager.entry)?.picks?.picks);
+    if (counted.length === 0) return [];
+
+    const multipliers = counted.map(manager => {
+      const playerPoints = calculatePlayerPoints(managerData.get(manager.entry).picks, context);
+
+      playerPoints.forEach(p => {
+        if (!byPlayer.has(p.id)) {
+          byPlayer.set(p.id, { owners: 0, captains: 0, multipliers: 0 });
+        }
+        const entry = byPlayer.get(p.id);
+        entry.owners++;
+        if (p.isActingCaptain && p.multiplier > 1) entry.captains++;
+        if (p.pointsCount) entry.multipliers += p.multiplier;
+      });
+
+      return new Map(playerPoints.map(p => [p.id, p.pointsCount ? p.multiplier : 0]));
+    });
+
+    const percent = (count) => (count / counted.length) * 100;
+
+    const ownership = Array.from(byPlayer, ([id, { owners, captains, multipliers: total }]) => {
+      const player = players.get(id);
+      const averageMultiplier = total / counted.length;
+
+      const swings = counted.map((manager, index) => {
+        const multiplier = multipliers[index].get(id) || 0;
+        return {
+          entry: manager.entry,
+          player_name: manager.player_name,
+          owned: multipliers[index].has(id),
+          multiplier,
+          swing: multiplier - averageMultiplier,
+        };
+      });
+
+      return {
+        id,
+        name: player?.web_name || 'Unknown',
+        team: player?.team || null,
+        points: (liveElements.get(id)?.stats?.total_points || 0) + (provisionalBonus.get(id) || 0),
+        owners,
+        captains,
+        ownership: percent(owners),
+        captaincy: percent(captains),
+        effectiveOwnership: averageMultiplier * 100,
+        gainers: swings.filter(s => s.swing > 0).sort((a, b) => b.swing - a.swing),
+        losers: swings.filter(s => s.swing < 0).sort((a, b) => a.swing - b.swing),
+      };
+    });
+
+    return ownership.sort((a, b) =>
+      b.effectiveOwnership - a.effectiveOwnership || b.ownership - a.ownership || a.id - b.id
+    );
+  }
+
+  // ============================================
+  // Manager Comparison
+  // ============================================
+
+  /**
+   * Two managers' live squads side by side. Players both managers count at the
+   * same multiplier cancel out and are `shared`; everything else is a
+   * `differential` - including a captaincy difference on a shared player:
+   * { id, name, points, multiplierA, multiplierB, favours: 'a' or 'b', swing,
+   * toCome }. Swing is the live points it has made for the manager it favours so
+   * far, and `swing` overall is A's lead from differentials (negative if B's).
+   * Each side also gets { points, toCome, toComeMultiplier } - the counting
+   * players with a match still to kick off, weighted by their multiplier.
+   */
+  function compareManagers(picksA, picksB, context) {
+    // A fixture still to kick off - in a double gameweek, either of them
+    const isToCome = (p) => p.fixtures.some(f => f.status === 'upcoming');
+
+    const sides = [picksA, picksB].map(picks => {
+      const info = calculateLiveInfo(picks, context);
+      const counting = new Map(info.playerPoints.map(p => [p.id, p.pointsCount ? p.multiplier : 0]));
+      const toCome = info.playerPoints.filter(p => p.pointsCount && isToCome(p));
+
+      return {
+        info,
+        counting,
+        summary: {
+          points: info.livePoints,
+          toCome: toCome.length,
+          toComeMultiplier: toCome.reduce((sum, p) => sum + p.multiplier, 0),
+        },
+      };
+    });
+    const [a, b] = sides;
+
+    // Every player in either squad, A's in pick order then B's
+    const byId = new Map();
+    [...a.info.playerPoints, ...b.info.playerPoints].forEach(p => {
+      if (!byId.has(p.id)) byId.set(p.id, p);
+    });
+
+    const shared = [];
+    const differentials = [];
+    byId.forEach(player => {
+      const multiplierA = a.counting.get(player.id) || 0;
+      const multiplierB = b.counting.get(player.id) || 0;
+
+      if (multiplierA === multiplierB) {
+        // Benched (or subbed off) by both - nothing to compare
+        if (multiplierA > 0) {
+          shared.push({ id: player.id, name: player.name, points: player.points, multiplier: multiplierA });
+        }
+        return;
+      }
+
+      differentials.push({
+        id: player.id,
+        name: player.name,
+        points: player.points,
+        multiplierA,
+        multiplierB,
+        favours: multiplierA > multiplierB ? 'a' : 'b',
+        swing: player.points * Math.abs(multiplierA - multiplierB),
+        toCome: isToCome(player),
+      });
+    });
+
+    differentials.sort((x, y) => y.swing - x.swing);
+
+    return {
+      a: a.summary,
+      b: b.summary,
+      shared,
+      differentials,
+      swing: differentials.reduce((sum, d) => sum + (d.favours === 'a' ? d.swing : -d.swing), 0),
+    };
+  }
+
+  /**
+   * The points each table view ranks on, and the baseline its arrows compare
+   * against: the month before this gameweek, last gameweek's points, and the
+   * season total before this gameweek. Archived rows may predate the gameweek
+   * and overall fields, so those fall back to what they do have.
+   */
+  const TABLE_VIEWS = {
+    monthly: {
+      current: m => m.monthlyPoints,
+      previous: m => m.previousMonthlyPoints,
+    },
+    gameweek: {
+      current: m => m.gameweekPoints,
+      previous: m => m.previousGameweekPoints ?? 0,
+    },
+    overall: {
+      current: m => m.liveTotal ?? m.total,
+      previous: m => m.previousTotal ?? m.total,
+    },
+  };
+
+  // Position in the current view's table, where it was against the view's
+  // baseline, and the change (positive = moved up)
+  function calculatePositionChanges(scores, view = 'monthly') {
+    const { previous } = TABLE_VIEWS[view] || TABLE_VIEWS.monthly;
+
+    // Current positions use the view's own sort order
+    const currentSorted = sortScores(scores, view);
+
+    // Previous positions: the baseline, then overall total
+    const previousSorted = [...scores].sort((a, b) => {
+      if (previous(b) !== previous(a)) return previous(b) - previous(a);
+      return b.total - a.total;
+    });
+
+    // Create position maps
+    const currentPositions = new Map();
+    currentSorted.forEach((m, idx) => currentPositions.set(m.entry, idx + 1));
+
+    const previousPositions = new Map();
+    previousSorted.forEach((m, idx) => previousPositions.set(m.entry, idx + 1));
+
+    // Calculate position change for each manager
+    return scores.map(manager => {
+      const currentPos = currentPositions.get(manager.entry);
+      const previousPos = previousPositions.get(manager.entry);
+      const positionChange = previousPos - currentPos; // Positive = moved up, Negative = moved down
+
+      return {
+        ...manager,
+        currentPosition: currentPos,
+        previousPosition: previousPos,
+        positionChange: positionChange,
+      };
+    });
+  }
+
+  // Sort for a view ('monthly', 'gameweek', 'overall' or 'h2h')
+  function sortScores(scores, view = 'monthly') {
+    if (view === 'h2h') return sortH2HTable(scores);
+
+    const { current } = TABLE_VIEWS[view] || TABLE_VIEWS.monthly;
+
+    return [...scores].sort((a, b) => {
+      // Primary sort by the view's points
+      if (current(b) !== current(a)) {
+        return current(b) - current(a);
+      }
+      // Secondary sort by gameweek points
+      if (b.gameweekPoints !== a.gameweekPoints) {
+        return b.gameweekPoints - a.gameweekPoints;
+      }
+      // Tertiary sort by total points
+      return b.total - a.total;
+    });
+  }
+
+  // ============================================
+  // Gaps
+  // ============================================
+
+  /**
+   * Where one manager stands in a sorted table (from sortScores, same view):
+   * position, points, players still to play, and the live gap to the leader and
+   * to the places either side - positive when ahead. leader, above and below are
+   * null where there's no such manager. Returns null if the entry isn't in the table.
+   */
+  function calculateGaps(sorted, entry, view = 'monthly') {
+    const index = sorted.findIndex(m => m.entry === entry);
+    if (index === -1) return null;
+
+    const points = view === 'h2h' ? m => m.h2hPoints : (TABLE_VIEWS[view] || TABLE_VIEWS.monthly).current;
+    const toPlay = m => Math.max((m.maxPlayers || 11) - (m.playedPlayers || 0), 0);
+    const me = sorted[index];
+
+    const rival = (position) => {
+      const manager = sorted[position - 1];
+      if (!manager || position === index + 1) return null;
+      return {
+        entry: manager.entry,
+        player_name: manager.player_name,
+        entry_name: manager.entry_name,
+        position,
+        gap: points(me) - points(manager),
+        toPlay: toPlay(manager),
+      };
+    };
+
+    return {
+      position: index + 1,
+      points: points(me),
+      toPlay: toPlay(me),
+      leader: rival(1),
+      above: index > 0 ? rival(index) : null,
+      below: rival(index + 2),
+    };
+  }
+
+  // ============================================
+  // Refresh Schedule
+  // ============================================
+
+  // A match still not marked started this long after kickoff has been put back
+  const KICKOFF_GRACE = 2 * 60 * 60 * 1000; // 2 hours
+
+  /**
+   * Milliseconds until the next refresh is worth doing, from the season's fixtures.
+   * intervals: { LIVE, BONUS, MAX_SLEEP } (CONFIG.REFRESH in the browser)
+   *
+   * LIVE while a match is in play (or past kickoff but not yet marked started),
+   * BONUS once matches reach full time until FPL confirms their bonus, otherwise
+   * asleep until the next kickoff - never longer than MAX_SLEEP.
+   */
+  function getRefreshDelay(fixtures, now, intervals) {
+    const kickoff = f => f.kickoff_time ? Date.parse(f.kickoff_time) : null;
+    const fullTime = f => f.finished_provisional ?? f.finished;
+
+    const isLive = fixtures.some(f => f.started
+      ? !fullTime(f)
+      : kickoff(f) !== null && kickoff(f) <= now && now - kickoff(f) < KICKOFF_GRACE);
+    if (isLive) return intervals.LIVE;
+
+    const nextKickoff = Math.min(...fixtures
+      .filter(f => !f.started && kickoff(f) > now)
+      .map(kickoff));
+    const untilKickoff = Math.min(Math.max(nextKickoff - now, intervals.LIVE), intervals.MAX_SLEEP);
+
+    const bonusPending = fixtures.some(f => f.started && fullTime(f) && !f.finished);
+    return bonusPending ? Math.min(intervals.BONUS, untilKickoff) : untilKickoff;
+  }
+
+  // ============================================
+  // Head-to-Head
+  // ============================================
+
+  // League points for a match result
+  const H2H_POINTS = { W: 3, D: 1, L: 0 };
+
+  /**
+   * Live head-to-head match-ups for the current gameweek.
+   * matches: /leagues-h2h-matches/ results for the gameweek
+   * gameweekPoints: Map of entry -> live gameweek points
+   * averagePoints: the gameweek average, which odd-sized leagues play as 'AVERAGE'
+   *
+   * A match FPL has already settled (win/draw/loss recorded) keeps its official
+   * points and is already counted in the standings; the rest are projected.
+   */
+  function calculateH2HMatches(matches, gameweekPoints, averagePoints) {
+    return matches.map(match => {
+      const settled = match.entry_1_win + match.entry_1_draw + match.entry_1_loss > 0;
+
+      const side = (n) => {
+        const entry = match[`entry_${n}_entry`];
+        const isAverage = !entry;
+        let points = match[`entry_${n}_points`];
+        if (!settled) {
+          points = isAverage ? averagePoints : gameweekPoints.get(entry) ?? points;
+        }
+        return {
+          entry,
+          player_name: isAverage ? 'Average' : match[`entry_${n}_player_name`],
+          entry_name: isAverage ? 'Gameweek average' : match[`entry_${n}_name`],
+          points,
+        };
+      };
+
+      const home = side(1);
+      const away = side(2);
+      const result = home.points > away.points ? 'W' : home.points < away.points ? 'L' : 'D';
+
+      return {
+        id: match.id,
+        settled,
+        home: { ...home, result },
+        away: { ...away, result: { W: 'L', L: 'W', D: 'D' }[result] },
+      };
+    });
+  }
+
+  /**
+   * Project the H2H table as if the live match-ups finished now.
+   * scores: calculateScores rows built from H2H standings results (which carry
+   * matches_won/drawn/lost, points_for and league points as `total`)
+   */
+  function applyH2HResults(scores, matchUps) {
+    // entry -> this gameweek's side of an unsettled match
+    const projected = new Map();
+    matchUps.filter(m => !m.settled).forEach(m => {
+      [m.home, m.away].forEach(side => {
+        if (side.entry) projected.set(side.entry, side);
+      });
+    });
+
+    const rows = scores.map(manager => {
+      const side = projected.get(manager.entry);
+      const result = side?.result || null;
+
+      return {
+        ...manager,
+        h2hResult: result,
+        won: manager.matches_won + (result === 'W' ? 1 : 0),
+        drawn: manager.matches_drawn + (result === 'D' ? 1 : 0),
+        lost: manager.matches_lost + (result === 'L' ? 1 : 0),
+        pointsFor: manager.points_for + (side ? side.points : 0),
+        h2hPoints: manager.total + (result ? H2H_POINTS[result] : 0),
+      };
+    });
+
+    // Official rank is where they stood before this gameweek's projections
+    const positions = new Map(sortH2HTable(rows).map((m, idx) => [m.entry, idx + 1]));
+
+    return rows.map(manager => {
+      const currentPos = positions.get(manager.entry);
+      const previousPos = manager.rank || currentPos;
+
+      return {
+        ...manager,
+        currentPosition: currentPos,
+        previousPosition: previousPos,
+        positionChange: previousPos - currentPos,
+      };
+    });
+  }
+
+  // FPL ranks H2H leagues by league points, then total points scored
+  function sortH2HTable(rows) {
+    return [...rows].sort((a, b) => {
+      if (b.h2hPoints !== a.h2hPoints) return b.h2hPoints - a.h2hPoints;
+      return b.pointsFor - a.pointsFor;
+    });
+  }
+
+  return {
+    createContext,
+    getCurrentGameweek,
+    buildGameweekDates,
+    getMonthKey,
+    buildMonthGameweeks,
+    getMonthForGameweek,
+    buildMonths,
+    getGameweeksForMonth,
+    getPlayerFixtureStats,
+    getChipRules,
+    calculateProvisionalBonus,
+    calculateFixtureBonus,
+    calculateLocalAutoSubs,
+    resolveCaptaincy,
+    calculatePlayerPoints,
+    calculatePointsBreakdown,
+    calculateLiveInfo,
+    calculateScores,
+    calculateOwnership,
+    compareManagers,
+    calculatePositionChanges,
+    sortScores,
+    calculateGaps,
+    getRefreshDelay,
+    calculateH2HMatches,
+    applyH2HResults,
+  };
+})();
+
+// Export for use in Node (server.js) - the browser uses the FPLScoring global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FPLScoring;
+}
@@ -0,0 +1,277 @@
+/**
+ * Table Archive
+ *
+ * Saves each watched league's computed live table to disk when a gameweek
+ * finishes, plus a month snapshot when it was the last gameweek of its month.
+ * Snapshots keep what the live table showed at the time - provisional bonus,
+ * auto-subs and position changes - so old arguments can be settled later.
+ *
+ * Storage is a directory of JSON files:
+ *   {dir}/leagues.json             Viewed leagues to archive, with when each was last viewed
+ *   {dir}/{leagueId}/gw-12.json    Table when GW12 finished
+ *   {dir}/{leagueId}/month-2025-01.json
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const FPLScoring = require('../app/scoring');
+
+// How often to check whether the current gameweek has finished
+const CHECK_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+const SNAPSHOT_FILE = /^(gw|month)-(\d+|\d{4}-\d{2})\.json$/;
+
+// Leagues archived because someone viewed them - at most this many, each dropped
+// after this long without a viewer (configured leagues are always archived)
+const MAX_VIEWED_LEAGUES = 50;
+const VIEWED_LEAGUE_EXPIRY = 14 * 24 * 60 * 60 * 1000; // 2 weeks
+
+// A viewed league's last-viewed time is saved at most this often
+const VIEW_SAVE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+class TableArchive {
+  constructor(fplClient, leagueTables, options = {}) {
+    this.client = fplClient;
+    this.leagueTables = leagueTables;
+    this.dir = options.dir;
+    this.checkInterval = options.checkInterval ?? CHECK_INTERVAL;
+
+    // League IDs always snapshotted (ARCHIVE_LEAGUES)
+    this.configuredLeagues = new Set(options.leagues || []);
+
+    // Viewed league ID -> last viewed (ms), least recently viewed first (from leagues.json)
+    this.viewedLeagues = new Map();
+
+    this.checkTimer = null;
+    this.isChecking = false;
+    this.isSaving = false;
+    this.saveQueued = false;
+  }
+
+  // ============================================
+  // Lifecycle
+  // ============================================
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Older files are a plain array of IDs - count those as viewed now
+    const saved = await this.readJson(path.join(this.dir, 'leagues.json'));
+    const now = Date.now();
+    const entries = Array.isArray(saved)
+      ? saved.map(id => [id, now])
+      : Object.entries(saved || {}).map(([id, viewedAt]) => [Number(id), viewedAt]);
+
+    entries
+      .sort((a, b) => a[1] - b[1])
+      .forEach(([id, viewedAt]) => this.viewedLeagues.set(id, viewedAt));
+    this.expireLeagues(now);
+  }
+
+  start() {
+    if (this.checkTimer) return;
+
+    this.check();
+    this.checkTimer = setInterval(() => this.check(), this.checkInterval);
+  }
+
+  stop() {
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  // A league was viewed - archive its tables until it goes unviewed for VIEWED_LEAGUE_EXPIRY
+  track(leagueId, now = Date.now()) {
+    if (this.configuredLeagues.has(leagueId)) return;
+
+    const viewedAt = this.viewedLeagues.get(leagueId);
+    if (viewedAt && now - viewedAt < VIEW_SAVE_INTERVAL) return;
+
+    // Re-insert so the map stays least recently viewed first
+    this.viewedLeagues.delete(leagueId);
+    this.viewedLeagues.set(leagueId, now);
+    this.expireLeagues(now);
+    this.saveViewedLeagues();
+  }
+
+  // One write at a time (they share a temp file) - a change mid-write is saved straight after
+  saveViewedLeagues() {
+    if (this.isSaving) {
+      this.saveQueued = true;
+      return;
+    }
+    this.isSaving = true;
+
+    this.writeJson(path.join(this.dir, 'leagues.json'), Object.fromEntries(this.viewedLeagues))
+      .catch(error => console.error(`[Archive Error] Failed to save league list: ${error.message}`))
+      .finally(() => {
+        this.isSaving = false;
+        if (this.saveQueued) {
+          this.saveQueued = false;
+          this.saveViewedLeagues();
+        }
+      });
+  }
+
+  // Drop viewed leagues nobody has looked at lately, then the least recent past the cap
+  expireLeagues(now) {
+    this.viewedLeagues.forEach((viewedAt, leagueId) => {
+      if (now - viewedAt >= VIEWED_LEAGUE_EXPIRY) {
+        this.viewedLeagues.delete(leagueId);
+      }
+    });
+
+    for (const leagueId of this.viewedLeagues.keys()) {
+      if (this.viewedLeagues.size <= MAX_VIEWED_LEAGUES) break;
+      this.viewedLeagues.delete(leagueId);
+    }
+  }
+
+  // Every league to snapshot - configured ones, then recently viewed ones
+  getLeagues() {
+    return Array.from(new Set([...this.configuredLeagues, ...this.viewedLeagues.keys()]));
+  }
+
+  // ============================================
+  // Snapshotting
+  // ============================================
+
+  async check() {
+    this.expireLeagues(Date.now());
+    const leagues = this.getLeagues();
+    if (this.isChecking || leagues.length === 0) return;
+    this.isChecking = true;
+
+    try {
+      const [eventStatus, bootstrap, fixtures] = await Promise.all([
+        this.client.get('/event-status/'),
+        this.client.get('/bootstrap-static/'),
+        this.client.get('/fixtures/'),
+      ]);
+
+      const gameweek = FPLScoring.getCurrentGameweek(eventStatus.data, bootstrap.data.events);
+      const event = bootstrap.data.events.find(e => e.id === gameweek);
+
+      // Only archive once FPL marks the gameweek finished (bonus added)
+      if (!event?.finished) return;
+
+      const monthGameweeks = FPLScoring.buildMonthGameweeks(
+        FPLScoring.buildGameweekDates(fixtures.data),
+        bootstrap.data.phases
+      );
+      const month = FPLScoring.getMonthForGameweek(monthGameweeks, gameweek);
+      if (!month) return;
+
+      // Month snapshot too if this was the month's last gameweek
+      const isMonthEnd = gameweek === Math.max(...monthGameweeks.get(month));
+
+      for (const leagueId of leagues) {
+        if (await this.exists(leagueId, 'gw', gameweek)) continue;
+        await this.snapshotLeague(leagueId, gameweek, month, isMonthEnd);
+      }
+
+    } catch (error) {
+      console.error(`[Archive Error] ${error.message}`);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  async snapshotLeague(leagueId, gameweek, month, isMonthEnd) {
+    try {
+      // Score from fresh data rather than a table cached mid-gameweek
+      this.leagueTables.invalidate(leagueId);
+      const table = await this.leagueTables.getLiveTable(leagueId, month);
+
+      // Don't archive fallback data, or a table from after the rollover
+      if (table.stale || table.gameweek !== gameweek) return;
+
+      const snapshot = {
+        leagueId,
+        gameweek,
+        month,
+        savedAt: new Date().toISOString(),
+        // Picks are dropped - the archive is about the table, and they're most of the size
+        table: { ...table, rows: table.rows.map(({ picks, ...row }) => row) },
+      };
+
+      await this.writeJson(this.filePath(leagueId, 'gw', gameweek), { kind: 'gameweek', ...snapshot });
+      if (isMonthEnd) {
+        await this.writeJson(this.filePath(leagueId, 'month', month), { kind: 'month', ...snapshot });
+      }
+
+      console.log(`[Archive] Saved GW${gameweek}${isMonthEnd ? ` and ${month}` : ''} table for league ${leagueId}`);
+
+    } catch (error) {
+      console.error(`[Archive Error] League ${leagueId} GW${gameweek}: ${error.message}`);
+    }
+  }
+
+  // ============================================
+  // Reading
+  // ============================================
+
+  // List a league's snapshots, newest first
+  async list(leagueId) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.dir, String(leagueId)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = files
+      .map(file => file.match(SNAPSHOT_FILE))
+      .filter(Boolean)
+      .map(([, type, key]) => type === 'gw'
+        ? { kind: 'gameweek', gameweek: Number(key) }
+        : { kind: 'month', month: key });
+
+    return snapshots.sort((a, b) => {
+      if (a.kind !== b.kind) return a.kind === 'gameweek' ? -1 : 1;
+      return a.kind === 'gameweek' ? b.gameweek - a.gameweek : b.month.localeCompare(a.month);
+    });
+  }
+
+  // Read one snapshot ('gw' + gameweek or 'month' + YYYY-MM) - null if it doesn't exist
+  async read(leagueId, type, key) {
+    return this.readJson(this.filePath(leagueId, type, key));
+  }
+
+  async exists(leagueId, type, key) {
+    try {
+      await fs.access(this.filePath(leagueId, type, key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // ============================================
+  // Files
+  // ============================================
+
+  filePath(leagueId, type, key) {
+    return path.join(this.dir, String(leagueId), `${type}-${key}.json`);
+  }
+
+  async readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write via a temp file so a crash never leaves half a snapshot behind
+  async writeJson(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+}
+
+module.exports = { TableArchive };
@@ -0,0 +1,120 @@
+/**
+ * FPL Endpoint Allowlist
+ *
+ * The proxy only forwards the endpoint shapes the app actually uses (see the
+ * README table). Everything else is rejected before it reaches the FPL API, so
+ * the public deployment can't be used as an open relay.
+ *
+ * Each endpoint also carries its cache TTL, so this table is the single source
+ * of truth for what the proxy will fetch and how long it keeps it.
+ */
+
+// Gameweeks run 1-38; entry/league IDs are plain positive integers
+const MAX_GAMEWEEK = 38;
+const ID_PATTERN = /^[1-9]\d{0,9}$/;
+
+// Month keys (our own, not FPL's) are YYYY-MM, e.g. 2025-01
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Path parameter validators: name -> (value) => error message or null
+const PARAM_RULES = {
+  id: (value) => ID_PATTERN.test(value) ? null : 'must be a positive integer',
+  gw: (value) => {
+    if (!ID_PATTERN.test(value)) return 'must be a positive integer';
+    return Number(value) <= MAX_GAMEWEEK ? null : `must be between 1 and ${MAX_GAMEWEEK}`;
+  },
+  month: (value) => MONTH_PATTERN.test(value) ? null : 'must be in YYYY-MM format',
+  limit: (value) => ID_PATTERN.test(value) ? null : 'must be a positive integer',
+};
+
+// Allowed endpoints: path template, allowed query params and cache TTL (milliseconds)
+const ENDPOINTS = [
+  { template: '/bootstrap-static/', ttl: 10 * 60 * 1000 },                          // 10 minutes - player/team data
+  { template: '/fixtures/', query: { event: 'gw' }, ttl: 60 * 1000 },               // 1 minute - live match scores
+  { template: '/event-status/', ttl: 60 * 1000 },                                   // 1 minute - bonus/league status
+  { template: '/event/{gw}/live/', ttl: 30 * 1000 },                                // 30 seconds - live points
+  { template: '/leagues-classic/{id}/standings/', query: { page_standings: 'id' }, ttl: 2 * 60 * 1000 }, // 2 minutes - league standings
+  { template: '/leagues-h2h/{id}/standings/', query: { page_standings: 'id' }, ttl: 2 * 60 * 1000 },     // 2 minutes - H2H league standings
+  { template: '/leagues-h2h-matches/league/{id}/', query: { event: 'gw', page: 'id' }, ttl: 60 * 1000 }, // 1 minute - H2H match-ups
+  { template: '/entry/{id}/history/', ttl: 2 * 60 * 1000 },                         // 2 minutes - manager history
+  { template: '/entry/{id}/event/{gw}/picks/', ttl: 60 * 1000 },                    // 1 minute - picks/auto-subs
+].map(endpoint => ({
+  ...endpoint,
+  query: endpoint.query || {},
+  params: [...endpoint.template.matchAll(/\{(\w+)\}/g)].map(m => m[1]),
+  // Placeholders match any single segment so a bad ID is a 400, not a 404
+  pattern: new RegExp(`^${endpoint.template.replace(/\{\w+\}/g, '([^/]+)')}$`),
+}));
+
+/**
+ * Validate a proxied request against the allowlist.
+ *
+ * Returns { endpoint, fplPath } on success, where fplPath is rebuilt from the
+ * validated pieces (only known query params are kept), or
+ * { status, error, message } describing why the request was rejected.
+ */
+function resolveEndpoint(pathname, query = {}) {
+  const endpoint = ENDPOINTS.find(e => e.pattern.test(pathname));
+
+  if (!endpoint) {
+    return {
+      status: 404,
+      error: 'Unknown endpoint',
+      message: `${pathname} is not a supported FPL endpoint`,
+    };
+  }
+
+  // Validate path parameters
+  const values = pathname.match(endpoint.pattern).slice(1);
+  for (let i = 0; i < endpoint.params.length; i++) {
+    const name = endpoint.params[i];
+    const problem = PARAM_RULES[name](values[i]);
+    if (problem) {
+      return {
+        status: 400,
+        error: 'Invalid parameter',
+        message: `${name} "${values[i]}" ${problem}`,
+      };
+    }
+  }
+
+  // Validate query parameters - unknown ones are rejected, not silently dropped
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    const rule = endpoint.query[key];
+    if (!rule) {
+      return {
+        status: 400,
+        error: 'Invalid parameter',
+        message: `Query parameter "${key}" is not allowed for ${endpoint.template}`,
+      };
+    }
+
+    const problem = typeof value === 'string' ? PARAM_RULES[rule](value) : 'must be a single value';
+    if (problem) {
+      return {
+        status: 400,
+        error: 'Invalid parameter',
+        message: `${key} "${value}" ${problem}`,
+      };
+    }
+
+    search.set(key, value);
+  }
+
+  // Sorted so equivalent requests share one cache entry
+  search.sort();
+  const queryString = search.toString();
+
+  return {
+    endpoint,
+    fplPath: queryString ? `${pathname}?${queryString}` : pathname,
+  };
+}
+
+// Validate a single value against a parameter rule ('id', 'gw', 'month' or 'limit') - returns an error message or null
+function validateParam(rule, value) {
+  return PARAM_RULES[rule](String(value));
+}
+
+module.exports = { ENDPOINTS, resolveEndpoint, validateParam };
@@ -0,0 +1,228 @@
+/**
+ * FPL API Client
+ *
+ * Server-side client for fantasy.premierleague.com with a shared in-process cache:
+ * 1. Every response is cached with a TTL chosen per endpoint
+ * 2. Concurrent requests for the same path share one in-flight upstream fetch
+ * 3. Transient upstream failures (network errors, 429, 5xx) are retried with backoff
+ * 4. If FPL stays down, the last good response is served marked as stale
+ *
+ * One instance is shared by every browser hitting the proxy, so a league full of
+ * people refreshing on a Saturday only costs one upstream call per endpoint per TTL.
+ */
+
+const { ENDPOINTS } = require('./endpoints');
+
+const FPL_API_BASE = 'https://fantasy.premierleague.com/api';
+
+// Fallback TTL for anything not in the endpoint table
+const DEFAULT_TTL = 30 * 1000;
+
+// Most paths cached at once - past this, expired entries are swept and then the
+// least recently fetched ones dropped (player IDs are open-ended, so the cache would grow)
+const MAX_CACHE_ENTRIES = 2000;
+
+// Expired entries are kept this long as a fallback for when FPL is down
+const MAX_STALE_AGE = 6 * 60 * 60 * 1000; // 6 hours
+
+// Retry policy for transient upstream failures
+const RETRY = {
+  attempts: 3,          // Total attempts, including the first
+  baseDelay: 500,       // Backoff: 500ms, 1s, 2s... (plus jitter)
+  maxDelay: 4000,
+  timeout: 10 * 1000,   // Per-attempt request timeout
+};
+
+// After a failed refresh, serve stale for this long before trying FPL again,
+// so an outage doesn't turn every browser refresh into a round of retries
+const FAILURE_COOLDOWN = 15 * 1000;
+
+// Upstream statuses worth retrying ("The game is being updated" is a 503)
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class FPLClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || FPL_API_BASE;
+    this.endpoints = options.endpoints || ENDPOINTS;
+    this.defaultTtl = options.defaultTtl ?? DEFAULT_TTL;
+    this.retry = { ...RETRY, ...options.retry };
+
+    // Where responses come from (the FPL API unless replaying a recording)
+    this.upstream = options.upstream || ((fplPath) => this.fetchFromFPL(fplPath));
+
+    // Called with (fplPath, data) for every upstream response (used by record mode)
+    this.onResponse = options.onResponse || null;
+
+    // path -> { data, fetchedAt, expiresAt }
+    this.cache = new Map();
+
+    // path -> Promise of an in-flight upstream fetch
+    this.inFlight = new Map();
+
+    // path -> timestamp of the last failed refresh
+    this.failures = new Map();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Get an FPL API path (e.g. '/event/22/live/'), from cache when fresh.
+   * Resolves to { data, cacheStatus, fetchedAt, expiresAt } where cacheStatus is
+   * 'HIT' for a cached response, 'MISS' when the upstream was (or is being) called,
+   * or 'STALE' when FPL is unavailable and the last good response is returned instead.
+   * Rejects only when the upstream fails and there is no previous response to fall back on.
+   */
+  async get(fplPath) {
+    const now = Date.now();
+    const cached = this.cache.get(fplPath);
+
+    if (cached && now < cached.expiresAt) {
+      return { ...cached, cacheStatus: 'HIT' };
+    }
+
+    // FPL just failed for this path - don't queue up another round of retries yet
+    const lastFailure = this.failures.get(fplPath);
+    if (cached && lastFailure && now - lastFailure < FAILURE_COOLDOWN) {
+      return { ...cached, cacheStatus: 'STALE' };
+    }
+
+    // Join an identical request that's already on its way upstream
+    let pending = this.inFlight.get(fplPath);
+    if (!pending) {
+      pending = this.fetchAndStore(fplPath).finally(() => {
+        this.inFlight.delete(fplPath);
+      });
+      this.inFlight.set(fplPath, pending);
+    }
+
+    try {
+      const entry = await pending;
+      return { ...entry, cacheStatus: 'MISS' };
+    } catch (error) {
+      // Fall back to the last good response (e.g. during gameweek rollover)
+      const fallback = this.cache.get(fplPath);
+      if (fallback) {
+        console.warn(`[Proxy] Serving stale ${fplPath} (${Math.round((Date.now() - fallback.fetchedAt) / 1000)}s old): ${error.message}`);
+        return { ...fallback, cacheStatus: 'STALE' };
+      }
+      throw error;
+    }
+  }
+
+  ttlFor(fplPath) {
+    // Match on the pathname only - query strings don't change the endpoint type
+    const pathname = fplPath.split('?')[0];
+    const endpoint = this.endpoints.find(e => e.pattern.test(pathname));
+    return endpoint ? endpoint.ttl : this.defaultTtl;
+  }
+
+  // ============================================
+  // Upstream
+  // ============================================
+
+  async fetchAndStore(fplPath) {
+    let data;
+    try {
+      data = await this.fetchWithRetry(fplPath);
+    } catch (error) {
+      // Only worth remembering when there's a stale copy to serve meanwhile
+      if (this.cache.has(fplPath)) {
+        this.failures.set(fplPath, Date.now());
+      }
+      throw error;
+    }
+
+    this.failures.delete(fplPath);
+
+    const fetchedAt = Date.now();
+    const entry = { data, fetchedAt, expiresAt: fetchedAt + this.ttlFor(fplPath) };
+
+    this.cache.delete(fplPath); // Re-insert so the map stays oldest-first
+    this.cache.set(fplPath, entry);
+    this.sweep(fetchedAt);
+
+    return entry;
+  }
+
+  async fetchWithRetry(fplPath) {
+    const { attempts, baseDelay, maxDelay } = this.retry;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.fetchUpstream(fplPath);
+      } catch (error) {
+        if (attempt >= attempts || !this.isTransient(error)) {
+          throw error;
+        }
+
+        // Exponential backoff with jitter so retries from different paths spread out
+        const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay) * (0.75 + Math.random() * 0.5);
+        console.warn(`[Proxy] ${fplPath} failed (${error.message}), retry ${attempt}/${attempts - 1} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Network errors and timeouts have no status; only some HTTP statuses are worth retrying
+  isTransient(error) {
+    return error.status === undefined || TRANSIENT_STATUSES.has(error.status);
+  }
+
+  async fetchUpstream(fplPath) {
+    const data = await this.upstream(fplPath);
+    this.onResponse?.(fplPath, data);
+    return data;
+  }
+
+  async fetchFromFPL(fplPath) {
+    const fplUrl = `${this.baseUrl}${fplPath}`;
+
+    console.log(`[Proxy] -> ${fplUrl}`);
+
+    // Use native fetch (Node 18+)
+    const response = await fetch(fplUrl, {
+      headers: {
+        'User-Agent': 'FPL-Live-Table/1.0',
+        'Accept': 'application/json',
+      },
+      signal: AbortSignal.timeout(this.retry.timeout),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`FPL API returned ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  // Drop entries too old to be useful even as a stale fallback, then the oldest
+  // ones if there are still too many
+  sweep(now) {
+    if (this.cache.size <= MAX_CACHE_ENTRIES) return;
+
+    this.cache.forEach((entry, key) => {
+      if (now - entry.expiresAt >= MAX_STALE_AGE) {
+        this.evict(key);
+      }
+    });
+
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= MAX_CACHE_ENTRIES) break;
+      this.evict(key);
+    }
+  }
+
+  // A failure is only tracked while there's a cached copy to serve
+  evict(key) {
+    this.cache.delete(key);
+    this.failures.delete(key);
+  }
+}
+
+module.exports = { FPLClient };
@@ -0,0 +1,272 @@
+/**
+ * League Live Table
+ *
+ * Builds a league's live monthly table on the server, once per refresh cycle,
+ * instead of every browser downloading history + picks for every manager and
+ * scoring them itself. Uses the shared scoring rules from app/scoring.js, so
+ * the numbers match what the browser would compute.
+ */
+
+const FPLScoring = require('../app/scoring');
+const { validateParam } = require('./endpoints');
+
+// How long a computed table is reused - matches the live data TTL
+const TABLE_TTL = 30 * 1000;
+
+// Maximum concurrent manager fetches per table
+const MAX_CONCURRENT_REQUESTS = 10;
+
+// Managers scored per table by default, and the most a caller can ask for -
+// each one costs two FPL requests per refresh, so huge leagues are scored top-down.
+// Anyone can ask for any league, so only the server's own leagues go past the default
+const DEFAULT_MANAGER_LIMIT = 250;
+const ON_DEMAND_MANAGER_LIMIT = 250;
+const MAX_MANAGER_LIMIT = 1000;
+
+// Limits are rounded up to whole standings pages, so callers can't make a table per limit
+const STANDINGS_PAGE_SIZE = 50;
+
+// Most tables kept at once - each holds every row with full picks
+const MAX_CACHED_TABLES = 100;
+
+class LeagueTableService {
+  constructor(fplClient, options = {}) {
+    this.client = fplClient;
+    this.ttl = options.ttl ?? TABLE_TTL;
+
+    // Leagues the server is set up for (ARCHIVE_LEAGUES), scored up to MAX_MANAGER_LIMIT
+    this.largeLeagues = new Set(options.largeLeagues || []);
+
+    // `${leagueId}:${month}` -> { table, expiresAt }
+    this.cache = new Map();
+
+    // `${leagueId}:${month}` -> Promise of a table being built
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Get the scored live table for a league and month (defaults to the month of
+   * the current gameweek), covering the top `limit` managers by overall rank.
+   * Concurrent callers share one build.
+   */
+  async getLiveTable(leagueId, month = null, limit = DEFAULT_MANAGER_LIMIT) {
+    if (month) this.assertValid('month', month);
+    this.assertValid('limit', limit);
+
+    const maxLimit = this.maxLimitFor(leagueId);
+    const pages = Math.ceil(Number(limit) / STANDINGS_PAGE_SIZE);
+    const managerLimit = Math.min(pages * STANDINGS_PAGE_SIZE, maxLimit);
+    const key = `${leagueId}:${month || 'current'}:${managerLimit}`;
+    const cached = this.cache.get(key);
+
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.table;
+    }
+
+    let pending = this.inFlight.get(key);
+    if (!pending) {
+      pending = this.buildTable(leagueId, month, managerLimit, maxLimit)
+        .then(table => {
+          const now = Date.now();
+          this.cache.delete(key); // Re-insert so the map stays oldest-first
+          this.cache.set(key, { table, expiresAt: now + this.ttl });
+          this.sweep(now);
+          return table;
+        })
+        .finally(() => {
+          this.inFlight.delete(key);
+        });
+      this.inFlight.set(key, pending);
+    }
+
+    return pending;
+  }
+
+  // Most managers a caller can have scored for a league
+  maxLimitFor(leagueId) {
+    return this.largeLeagues.has(leagueId) ? MAX_MANAGER_LIMIT : ON_DEMAND_MANAGER_LIMIT;
+  }
+
+  // Drop a league's cached tables (every month) so the next request re-scores it
+  invalidate(leagueId) {
+    this.cache.forEach((entry, key) => {
+      if (key.startsWith(`${leagueId}:`)) {
+        this.cache.delete(key);
+      }
+    });
+  }
+
+  // Drop expired tables, then the oldest ones if there are still too many
+  sweep(now) {
+    this.cache.forEach((entry, key) => {
+      if (now >= entry.expiresAt) {
+        this.cache.delete(key);
+      }
+    });
+
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= MAX_CACHED_TABLES) break;
+      this.cache.delete(key);
+    }
+  }
+
+  // Throw a 400 for a value that fails its parameter rule
+  assertValid(rule, value) {
+    const problem = validateParam(rule, value);
+    if (problem) {
+      const error = new Error(`${rule} "${value}" ${problem}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  // ============================================
+  // Building
+  // ============================================
+
+  async buildTable(leagueId, month, limit, maxLimit) {
+    // Track the oldest fallback copy used, if FPL is unavailable
+    let staleSince = null;
+    const fetchData = async (fplPath) => {
+      const { data, cacheStatus, fetchedAt } = await this.client.get(fplPath);
+      if (cacheStatus === 'STALE') {
+        staleSince = Math.min(staleSince ?? fetchedAt, fetchedAt);
+      }
+      return data;
+    };
+
+    const [bootstrap, fixtures, eventStatus, standings] = await Promise.all([
+      fetchData('/bootstrap-static/'),
+      fetchData('/fixtures/'),
+      fetchData('/event-status/'),
+      this.fetchStandings(leagueId, limit, fetchData),
+    ]);
+
+    const gameweek = FPLScoring.getCurrentGameweek(eventStatus, bootstrap.events);
+    const gameweekDates = FPLScoring.buildGameweekDates(fixtures);
+    const monthGameweeks = FPLScoring.buildMonthGameweeks(gameweekDates, bootstrap.phases);
+    const { months, defaultMonth } = FPLScoring.buildMonths(monthGameweeks, gameweek);
+    const selectedMonth = month || defaultMonth;
+
+    if (!months.includes(selectedMonth)) {
+      const error = new Error(`No gameweeks in month ${selectedMonth}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const liveData = await fetchData(`/event/${gameweek}/live/`);
+
+    const managers = standings.managers;
+    const managerData = await this.fetchManagerData(managers, gameweek, fetchData);
+
+    const players = new Map(bootstrap.elements.map(p => [p.id, p]));
+    const context = FPLScoring.createContext({ players, liveData, fixtures, gameweek, chips: bootstrap.chips });
+
+    const scores = FPLScoring.calculateScores(
+      managers,
+      managerData,
+      FPLScoring.getGameweeksForMonth(monthGameweeks, selectedMonth),
+      context
+    );
+    const rows = FPLScoring.sortScores(FPLScoring.calculatePositionChanges(scores), 'monthly');
+
+    const currentEvent = bootstrap.events.find(e => e.id === gameweek);
+
+    return {
+      league: { id: standings.league.id, name: standings.league.name },
+      gameweek,
+      gameweekFinished: currentEvent?.finished || false,
+      month: selectedMonth,
+      months,
+      updatedAt: new Date().toISOString(),
+      limit,
+      maxLimit,
+      hasMore: standings.hasMore,
+      stale: staleSince !== null,
+      staleSince: staleSince && new Date(staleSince).toISOString(),
+      rows: rows.map(row => this.formatRow(row, players)),
+    };
+  }
+
+  // Follow page_standings (50 managers a page) until `limit` managers or the last page
+  async fetchStandings(leagueId, limit, fetchData) {
+    const managers = [];
+    let page = 0;
+    let data;
+
+    do {
+      page++;
+      data = await fetchData(`/leagues-classic/${leagueId}/standings/?page_standings=${page}`);
+      managers.push(...data.standings.results);
+    } while (data.standings.has_next && managers.length < limit);
+
+    return {
+      league: data.league,
+      managers: managers.slice(0, limit),
+      hasMore: data.standings.has_next || managers.length > limit,
+    };
+  }
+
+  async fetchManagerData(managers, gameweek, fetchData) {
+    const managerData = new Map();
+
+    // Fetch in batches to avoid overwhelming the API
+    for (let i = 0; i < managers.length; i += MAX_CONCURRENT_REQUESTS) {
+      const batch = managers.slice(i, i + MAX_CONCURRENT_REQUESTS);
+
+      await Promise.all(batch.map(async (manager) => {
+        try {
+          const [history, picks] = await Promise.all([
+            fetchData(`/entry/${manager.entry}/history/`),
+            fetchData(`/entry/${manager.entry}/event/${gameweek}/picks/`),
+          ]);
+
+          managerData.set(manager.entry, { history, picks });
+        } catch (error) {
+          console.warn(`[League] Failed to fetch data for manager ${manager.entry}: ${error.message}`);
+        }
+      }));
+    }
+
+    return managerData;
+  }
+
+  // Finished row for the browser - picks are kept for the expanded player view
+  formatRow(row, players) {
+    const playerName = (id) => players.get(id)?.web_name || 'Unknown';
+
+    return {
+      entry: row.entry,
+      player_name: row.player_name,
+      entry_name: row.entry_name,
+      total: row.total,
+      gameweekPoints: row.gameweekPoints,
+      grossPoints: row.grossPoints,
+      transferCost: row.transferCost,
+      monthlyPoints: row.monthlyPoints,
+      previousMonthlyPoints: row.previousMonthlyPoints,
+      livePoints: row.livePoints,
+      previousGameweekPoints: row.previousGameweekPoints,
+      previousTotal: row.previousTotal,
+      liveTotal: row.liveTotal,
+      playedPlayers: row.playedPlayers,
+      maxPlayers: row.maxPlayers,
+      captain: row.captain,
+      captainPlayed: row.captainPlayed,
+      captainPromoted: row.captainPromoted,
+      activeChip: row.activeChip,
+      autoSubs: row.autoSubs.map(sub => ({
+        element_in: sub.element_in,
+        element_out: sub.element_out,
+        name_in: playerName(sub.element_in),
+        name_out: playerName(sub.element_out),
+      })),
+      currentPosition: row.currentPosition,
+      previousPosition: row.previousPosition,
+      positionChange: row.positionChange,
+      picks: row.picks,
+    };
+  }
+}
+
+module.exports = { LeagueTableService };
@@ -0,0 +1,199 @@
+/**
+ * Live Updates (Server-Sent Events)
+ *
+ * One server-side poller watches /event/{gw}/live/ and /fixtures/ while anyone
+ * is subscribed. When either changes, it re-scores each subscribed league and
+ * sends an `update` event down every open stream, so browsers refresh within
+ * seconds of a goal instead of each polling on its own 2 minute timer.
+ */
+
+const crypto = require('crypto');
+const FPLScoring = require('../app/scoring');
+
+// How often to check FPL for changes while there are subscribers
+const POLL_INTERVAL = 15 * 1000;
+
+// Comment sent on idle streams so proxies (e.g. Render) don't close them
+const KEEPALIVE_INTERVAL = 25 * 1000;
+
+// Browser reconnect delay if the stream drops (sent as the SSE `retry` field)
+const RECONNECT_DELAY = 10 * 1000;
+
+class LiveUpdates {
+  constructor(fplClient, leagueTables, options = {}) {
+    this.client = fplClient;
+    this.leagueTables = leagueTables;
+    this.pollInterval = options.pollInterval ?? POLL_INTERVAL;
+
+    // leagueId -> Set of open SSE responses
+    this.subscribers = new Map();
+
+    // Last seen state, so only real changes are pushed
+    this.gameweek = null;
+    this.signatures = { live: null, fixtures: null };
+
+    // Subscribed leagues the table service can't score (head-to-head leagues have
+    // no classic standings) - their browsers are notified but nothing is re-scored
+    this.unscorable = new Set();
+
+    this.pollTimer = null;
+    this.keepaliveTimer = null;
+    this.pollGeneration = 0; // Bumped on stop() so an in-progress poll doesn't reschedule
+  }
+
+  // ============================================
+  // Subscriptions
+  // ============================================
+
+  /**
+   * Attach an Express response as an SSE stream for a league.
+   * The stream is removed when the browser disconnects.
+   */
+  subscribe(leagueId, req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Don't let reverse proxies buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    if (!this.subscribers.has(leagueId)) {
+      this.subscribers.set(leagueId, new Set());
+    }
+    this.subscribers.get(leagueId).add(res);
+
+    this.send(res, 'hello', { leagueId, gameweek: this.gameweek });
+    this.start();
+
+    req.on('close', () => {
+      const streams = this.subscribers.get(leagueId);
+      if (!streams) return;
+
+      streams.delete(res);
+      if (streams.size === 0) {
+        this.subscribers.delete(leagueId);
+        this.unscorable.delete(leagueId);
+      }
+      if (this.subscribers.size === 0) {
+        this.stop();
+      }
+    });
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast(leagueId, event, data) {
+    const streams = this.subscribers.get(leagueId);
+    if (!streams) return;
+
+    streams.forEach(res => this.send(res, event, data));
+  }
+
+  // ============================================
+  // Polling
+  // ============================================
+
+  start() {
+    if (this.pollTimer) return;
+
+    const generation = this.pollGeneration;
+    const loop = async () => {
+      await this.poll();
+      // Only schedule the next poll if nobody stopped us meanwhile
+      if (generation === this.pollGeneration) {
+        this.pollTimer = setTimeout(loop, this.pollInterval);
+      }
+    };
+    this.pollTimer = setTimeout(loop, 0);
+
+    this.keepaliveTimer = setInterval(() => {
+      this.subscribers.forEach(streams => {
+        streams.forEach(res => res.write(': keepalive\n\n'));
+      });
+    }, KEEPALIVE_INTERVAL);
+  }
+
+  stop() {
+    this.pollGeneration++;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.keepaliveTimer);
+    this.pollTimer = null;
+    this.keepaliveTimer = null;
+
+    // Forget the baseline - the next subscriber's first poll records a fresh one
+    this.gameweek = null;
+    this.signatures = { live: null, fixtures: null };
+  }
+
+  async poll() {
+    const generation = this.pollGeneration;
+    try {
+      const [eventStatus, bootstrap, fixtures] = await Promise.all([
+        this.client.get('/event-status/'),
+        this.client.get('/bootstrap-static/'),
+        this.client.get('/fixtures/'),
+      ]);
+
+      const gameweek = FPLScoring.getCurrentGameweek(eventStatus.data, bootstrap.data.events);
+      const live = await this.client.get(`/event/${gameweek}/live/`);
+
+      const signatures = {
+        live: this.signature(live.data.elements),
+        fixtures: this.signature(fixtures.data.filter(f => f.event === gameweek)),
+      };
+
+      // Stopped while fetching - don't record a baseline the next subscriber would inherit
+      if (generation !== this.pollGeneration) return;
+
+      const changed = Object.keys(signatures).filter(key => signatures[key] !== this.signatures[key]);
+      const gameweekChanged = gameweek !== this.gameweek;
+
+      // First poll just records the baseline - browsers loaded fresh data on connect
+      const isFirstPoll = this.gameweek === null;
+
+      this.gameweek = gameweek;
+      this.signatures = signatures;
+
+      if (isFirstPoll || (changed.length === 0 && !gameweekChanged)) return;
+
+      console.log(`[Live] GW${gameweek} changed (${changed.join(', ') || 'gameweek'}), notifying ${this.subscribers.size} league(s)`);
+      await this.notifyLeagues({ gameweek, changed, gameweekChanged });
+
+    } catch (error) {
+      console.error(`[Live Error] ${error.message}`);
+    }
+  }
+
+  async notifyLeagues(change) {
+    const updatedAt = new Date().toISOString();
+
+    await Promise.all(Array.from(this.subscribers.keys()).map(async (leagueId) => {
+      // Re-score the league first so browsers fetch the new table, not a cached one
+      if (!this.unscorable.has(leagueId)) {
+        this.leagueTables.invalidate(leagueId);
+        try {
+          await this.leagueTables.getLiveTable(leagueId);
+        } catch (error) {
+          if (error.status === 404) {
+            this.unscorable.add(leagueId);
+          } else {
+            console.warn(`[Live] Failed to re-score league ${leagueId}: ${error.message}`);
+          }
+        }
+      }
+
+      this.broadcast(leagueId, 'update', { ...change, updatedAt });
+    }));
+  }
+
+  // Short hash of a JSON payload - cheap to compare between polls
+  signature(data) {
+    return crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+  }
+}
+
+module.exports = { LiveUpdates };
@@ -0,0 +1,166 @@
+/**
+ * Record & Replay
+ *
+ * Record mode appends every upstream FPL response to a session file, so a live
+ * Saturday afternoon can be captured. Replay mode serves a session back with no
+ * network access: a virtual clock starts at the first recording (or --from) and
+ * each path returns the latest response recorded at or before that time,
+ * optionally sped up - handy for debugging auto-sub or bonus behaviour later.
+ *
+ * A session is newline-delimited JSON, one response per line:
+ *   {"recordedAt":"2025-01-18T15:02:31.120Z","path":"/event/22/live/","data":{...}}
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+// ============================================
+// Recorder
+// ============================================
+
+class Recorder {
+  constructor(options = {}) {
+    // One file per server run, named after its start time
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.file = path.join(options.dir, `session-${stamp}.ndjson`);
+
+    // path -> hash of the last recorded response, so unchanged refetches aren't stored
+    this.lastHashes = new Map();
+
+    // Appends are chained so lines land in the order responses arrived
+    this.writes = Promise.resolve();
+  }
+
+  async init() {
+    await fsp.mkdir(path.dirname(this.file), { recursive: true });
+    console.log(`[Record] Recording FPL responses to ${this.file}`);
+  }
+
+  record(fplPath, data) {
+    const json = JSON.stringify(data);
+    const hash = crypto.createHash('sha1').update(json).digest('hex');
+
+    // Replay serves the latest response at or before a time, so repeats add nothing
+    if (this.lastHashes.get(fplPath) === hash) return;
+    this.lastHashes.set(fplPath, hash);
+
+    const line = `{"recordedAt":${JSON.stringify(new Date().toISOString())},"path":${JSON.stringify(fplPath)},"data":${json}}\n`;
+
+    this.writes = this.writes
+      .then(() => fsp.appendFile(this.file, line))
+      .catch(error => console.error(`[Record Error] ${error.message}`));
+  }
+}
+
+// ============================================
+// Replayer
+// ============================================
+
+class Replayer {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.speed = Number(options.speed ?? 1);
+    this.from = options.from ? new Date(options.from).getTime() : null;
+
+    // A zero or negative speed would stop the virtual clock or run it backwards
+    if (!Number.isFinite(this.speed) || this.speed <= 0) {
+      throw new Error(`Invalid replay speed "${options.speed}" - expected a number above 0, e.g. 10`);
+    }
+
+    // An unparseable time would silently replay from the end of the recording
+    if (Number.isNaN(this.from)) {
+      throw new Error(`Invalid replay start time "${options.from}" - expected an ISO date, e.g. 2025-01-18T15:00:00Z`);
+    }
+
+    // path -> [{ time, data }] in recorded order
+    this.timelines = new Map();
+
+    this.startTime = null; // Recorded time the replay begins at
+    this.endTime = null;   // Last recorded time
+    this.startedAt = null; // Real time the replay began
+  }
+
+  async load() {
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+
+    let count = 0;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const { recordedAt, path: fplPath, data } = JSON.parse(line);
+      const time = new Date(recordedAt).getTime();
+
+      if (!this.timelines.has(fplPath)) {
+        this.timelines.set(fplPath, []);
+      }
+      this.timelines.get(fplPath).push({ time, data });
+
+      this.startTime = Math.min(this.startTime ?? time, time);
+      this.endTime = Math.max(this.endTime ?? time, time);
+      count++;
+    }
+
+    if (count === 0) {
+      throw new Error(`No recordings in ${this.file}`);
+    }
+
+    // Lines are appended in arrival order, but sort in case files were merged
+    this.timelines.forEach(timeline => timeline.sort((a, b) => a.time - b.time));
+
+    if (this.from !== null) {
+      this.startTime = Math.min(Math.max(this.from, this.startTime), this.endTime);
+    }
+
+    console.log(`[Replay] Loaded ${count} responses for ${this.timelines.size} paths from ${this.file}`);
+    console.log(`[Replay] ${new Date(this.startTime).toISOString()} -> ${new Date(this.endTime).toISOString()} at ${this.speed}x`);
+  }
+
+  // Start the virtual clock
+  start() {
+    this.startedAt = Date.now();
+  }
+
+  // Current replay time - stops at the end of the recording
+  now() {
+    const elapsed = (Date.now() - (this.startedAt ?? Date.now())) * this.speed;
+    return Math.min(this.startTime + elapsed, this.endTime);
+  }
+
+  /**
+   * Upstream for FPLClient: the latest response for a path recorded at or before
+   * the replay time. A path first fetched later in the session gets its earliest
+   * response; a path never recorded is a 404, as FPL is never contacted.
+   */
+  async fetch(fplPath) {
+    const timeline = this.timelines.get(fplPath);
+
+    if (!timeline) {
+      const error = new Error(`No recording for ${fplPath}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const now = this.now();
+    let match = timeline[0];
+    for (const response of timeline) {
+      if (response.time > now) break;
+      match = response;
+    }
+
+    return match.data;
+  }
+
+  status() {
+    return {
+      file: path.basename(this.file),
+      speed: this.speed,
+      time: new Date(this.now()).toISOString(),
+      finished: this.now() >= this.endTime,
+    };
+  }
+}
+
+module.exports = { Recorder, Replayer };
@@ -3,7 +3,17 @@
  * 
  * This server:
  * 1. Serves the static frontend files from /app
- * 2. Proxies API requests to the FPL API (bypasses CORS)
+ * 2. Proxies allowlisted API requests to the FPL API (bypasses CORS)
+ * 3. Caches upstream responses in-process so all browsers share one fetch
+ * 4. Scores league live tables server-side (/api/league/:id/live)
+ * 5. Pushes live change notifications over SSE (/api/stream/league/:id)
+ * 6. Archives each league's table when a gameweek/month ends (/api/archive/league/:id)
+ * 7. Can record FPL responses to disk and replay them later without the network
+ * 
+ * Usage:
+ *   node server.js                                   Live FPL data
+ *   node server.js --record                          ...and record every FPL response
+ *   node server.js --replay <file> [--speed 10] [--from 2025-01-18T15:00:00Z]
  * 
  * Deploy to Render, Railway, or any Node.js hosting platform.
  */
@@ -11,12 +21,51 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { parseArgs } = require('util');
+const { FPLClient } = require('./lib/fpl-client');
+const { resolveEndpoint, validateParam } = require('./lib/endpoints');
+const { LeagueTableService } = require('./lib/league-table');
+const { LiveUpdates } = require('./lib/live-updates');
+const { TableArchive } = require('./lib/archive');
+const { Recorder, Replayer } = require('./lib/recording');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Enable CORS for all routes
-app.use(cors());
+const { recorder, replayer } = readOptions();
+
+// Shared FPL API client - one cache for every connected browser
+// (when replaying, responses come from the recording and aren't cached, so they follow its clock)
+const fplClient = replayer
+  ? new FPLClient({ upstream: (fplPath) => replayer.fetch(fplPath), endpoints: [], defaultTtl: 0 })
+  : new FPLClient({ onResponse: recorder && ((fplPath, data) => recorder.record(fplPath, data)) });
+
+// Leagues the server is set up for (ARCHIVE_LEAGUES: comma-separated league IDs) -
+// always archived, and the only ones scored past the default table size
+const configuredLeagues = (process.env.ARCHIVE_LEAGUES || '').split(',').filter(Boolean).map(Number);
+
+// League tables scored once per refresh cycle, shared by every viewer
+const leagueTables = new LeagueTableService(fplClient, {
+  largeLeagues: configuredLeagues,
+  ttl: replayer ? 0 : undefined,
+});
+
+// Server-side poller that pushes changes to browsers over SSE
+// (a replay is in memory, so poll it every second to catch each recorded change)
+const liveUpdates = new LiveUpdates(fplClient, leagueTables, replayer ? { pollInterval: 1000 } : {});
+
+// Gameweek/month table snapshots, stored as JSON files
+// (configured leagues are archived even if nobody views them)
+// Replays archive next to the recording so they never touch the real archive
+const archive = new TableArchive(fplClient, leagueTables, {
+  dir: replayer
+    ? `${replayer.file}.archive`
+    : process.env.ARCHIVE_DIR || path.join(__dirname, 'data', 'archive'),
+  leagues: configuredLeagues,
+});
+
+// Enable CORS for all routes (exposing the proxy's cache headers)
+app.use(cors({ exposedHeaders: ['X-Cache', 'X-Data-Age'] }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -28,36 +77,120 @@ app.use((req, res, next) => {
 // Serve static files from the app directory
 app.use(express.static(path.join(__dirname, 'app')));
 
-// Proxy endpoint for FPL API
-app.get('/api/*', async (req, res) => {
+// Validate route params against the endpoint rules - sends a 400 and returns false if any fail
+function validateParams(res, params) {
+  for (const [rule, value] of Object.entries(params)) {
+    const problem = validateParam(rule, value);
+    if (problem) {
+      res.status(400).json({
+        error: 'Invalid parameter',
+        message: `${rule} "${value}" ${problem}`,
+      });
+      return false;
+    }
+  }
+  return true;
+}
+
+// Live league table, scored on the server (registered before the /api/* proxy)
+app.get('/api/league/:id/live', async (req, res) => {
+  if (!validateParams(res, { id: req.params.id })) return;
+  
   try {
-    // Build the FPL API URL
-    const fplPath = req.url.replace('/api', '');
-    const fplUrl = `https://fantasy.premierleague.com/api${fplPath}`;
+    const leagueId = Number(req.params.id);
+    const month = typeof req.query.month === 'string' ? req.query.month : null;
+    const limit = typeof req.query.limit === 'string' ? req.query.limit : undefined;
+    const table = await leagueTables.getLiveTable(leagueId, month, limit);
     
-    console.log(`[Proxy] -> ${fplUrl}`);
+    // Anyone viewing a league gets it archived while it keeps being viewed
+    archive.track(leagueId);
     
-    // Use native fetch (Node 18+)
-    const response = await fetch(fplUrl, {
-      headers: {
-        'User-Agent': 'FPL-Live-Table/1.0',
-        'Accept': 'application/json',
-      },
-    });
+    res.set('Cache-Control', 'no-cache');
+    if (table.stale) {
+      res.set('X-Cache', 'STALE');
+      res.set('X-Data-Age', String(Math.round((Date.now() - Date.parse(table.staleSince)) / 1000)));
+    }
+    res.json(table);
     
-    if (!response.ok) {
-      throw new Error(`FPL API returned ${response.status}: ${response.statusText}`);
+  } catch (error) {
+    console.error(`[League Error] ${error.message}`);
+    res.status(error.status || 502).json({
+      error: 'Failed to build league table',
+      message: error.message,
+    });
+  }
+});
+
+// Live update stream (Server-Sent Events)
+app.get('/api/stream/league/:id', (req, res) => {
+  if (!validateParams(res, { id: req.params.id })) return;
+  
+  liveUpdates.subscribe(Number(req.params.id), req, res);
+});
+
+// Archived tables: list a league's snapshots
+app.get('/api/archive/league/:id', async (req, res) => {
+  if (!validateParams(res, { id: req.params.id })) return;
+  
+  try {
+    const leagueId = Number(req.params.id);
+    res.json({ leagueId, snapshots: await archive.list(leagueId) });
+  } catch (error) {
+    console.error(`[Archive Error] ${error.message}`);
+    res.status(500).json({ error: 'Failed to read archive', message: error.message });
+  }
+});
+
+// Archived tables: one gameweek or month snapshot
+app.get('/api/archive/league/:id/:type(gw|month)/:key', async (req, res) => {
+  const { id, type, key } = req.params;
+  if (!validateParams(res, { id, [type === 'gw' ? 'gw' : 'month']: key })) return;
+  
+  try {
+    const snapshot = await archive.read(Number(id), type, key);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Snapshot not found',
+        message: `No ${type === 'gw' ? `GW${key}` : key} snapshot for league ${id}`,
+      });
     }
+    res.json(snapshot);
+  } catch (error) {
+    console.error(`[Archive Error] ${error.message}`);
+    res.status(500).json({ error: 'Failed to read archive', message: error.message });
+  }
+});
+
+// Proxy endpoint for FPL API (allowlisted endpoints only, shared cache + request coalescing)
+app.get('/api/*', async (req, res) => {
+  // Only forward endpoint shapes the app uses, with validated IDs
+  const resolved = resolveEndpoint(req.path.replace('/api', ''), req.query);
+  if (!resolved.endpoint) {
+    console.warn(`[Proxy] Rejected ${req.originalUrl}: ${resolved.message}`);
+    return res.status(resolved.status).json({
+      error: resolved.error,
+      message: resolved.message,
+    });
+  }
+  
+  try {
+    const { fplPath } = resolved;
     
-    const data = await response.json();
+    const { data, cacheStatus, fetchedAt, expiresAt } = await fplClient.get(fplPath);
     
-    // Set cache headers (1 minute for live data)
-    res.set('Cache-Control', 'public, max-age=60');
+    // Let browsers cache for as long as our copy stays fresh
+    // (stale copies aren't cached so the next refresh tries again)
+    const maxAge = cacheStatus === 'STALE' ? 0 : Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+    res.set('X-Cache', cacheStatus);
+    res.set('X-Data-Age', String(Math.round((Date.now() - fetchedAt) / 1000)));
     res.json(data);
     
   } catch (error) {
+    // Upstream failed after retries and there's nothing cached to fall back on
+    // (FPL 404s - e.g. an entry that doesn't exist - are passed through as-is)
     console.error(`[Proxy Error] ${error.message}`);
-    res.status(500).json({ 
+    res.status(error.status === 404 ? 404 : 502).json({ 
       error: 'Failed to fetch data from FPL API',
       message: error.message,
     });
@@ -70,6 +203,9 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    mode: replayer ? 'replay' : recorder ? 'record' : 'live',
+    ...(recorder && { recording: path.basename(recorder.file) }),
+    ...(replayer && { replay: replayer.status() }),
   });
 });
 
@@ -78,16 +214,65 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'app', 'index.html'));
 });
 
+// Record/replay options (RECORD_DIR: where --record writes sessions)
+// Bad options exit through the same handler as any other startup failure
+function readOptions() {
+  try {
+    const { values: args } = parseArgs({
+      options: {
+        record: { type: 'boolean', default: false },
+        replay: { type: 'string' },
+        speed: { type: 'string', default: '1' },
+        from: { type: 'string' },
+      },
+    });
+
+    const recorder = args.record
+      ? new Recorder({ dir: process.env.RECORD_DIR || path.join(__dirname, 'data', 'recordings') })
+      : null;
+
+    const replayer = args.replay
+      ? new Replayer(path.resolve(args.replay), { speed: args.speed, from: args.from })
+      : null;
+
+    return { recorder, replayer };
+  } catch (error) {
+    exitOnStartupError(error);
+  }
+}
+
+function exitOnStartupError(error) {
+  console.error(`[Startup Error] ${error.message}`);
+  process.exit(1);
+}
+
 // Start server
-app.listen(PORT, () => {
-  console.log('');
-  console.log('╔═══════════════════════════════════════════════════════════╗');
-  console.log('║                                                           ║');
-  console.log('║   🏆 FPL Live Table                                       ║');
-  console.log('║                                                           ║');
-  console.log(`║   🌐 Running on port ${PORT}                                 ║`);
-  console.log('║   📡 API Proxy: /api/* → fantasy.premierleague.com       ║');
-  console.log('║                                                           ║');
-  console.log('╚═══════════════════════════════════════════════════════════╝');
-  console.log('');
-});
+async function start() {
+  // Recording or replaying is asked for explicitly, so failing to set it up is fatal
+  if (recorder) await recorder.init();
+  if (replayer) {
+    await replayer.load();
+    replayer.start();
+  }
+
+  // Start archiving (a missing/unwritable archive dir shouldn't stop the server)
+  archive.init()
+    .then(() => archive.start())
+    .catch(error => console.error(`[Archive Error] Archiving disabled: ${error.message}`));
+
+  app.listen(PORT, () => {
+    console.log('');
+    console.log('╔═══════════════════════════════════════════════════════════╗');
+    console.log('║                                                           ║');
+    console.log('║   🏆 FPL Live Table                                       ║');
+    console.log('║                                                           ║');
+    console.log(`║   🌐 Running on port ${PORT}                                 ║`);
+    console.log('║   📡 API Proxy: /api/* → fantasy.premierleague.com       ║');
+    console.log('║                                                           ║');
+    console.log('╚═══════════════════════════════════════════════════════════╝');
+    console.log('');
+    if (replayer) console.log('[Replay] Serving recorded responses only - FPL is not contacted\n');
+  });
+}
+
+start().catch(exitOnStartupError);
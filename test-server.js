@@ -4,7 +4,7 @@
  * Simulates a live GW22 gameweek with:
  * - Randomized live scores that change every 5 seconds
  * - Players finishing with 0 minutes (triggers auto-subs)
- * - Various chip activations
+ * - Various chip activations (including an Assistant Manager)
  * 
  * Run: node test-server.js
  * Open: http://localhost:5000
@@ -13,6 +13,10 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { FPLClient } = require('./lib/fpl-client');
+const { LeagueTableService } = require('./lib/league-table');
+const { LiveUpdates } = require('./lib/live-updates');
+const FPLScoring = require('./app/scoring');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -23,9 +27,20 @@ const PORT = process.env.PORT || 5000;
 
 const SIMULATION_DURATION = 60 * 1000; // 1 minute
 const UPDATE_INTERVAL = 5 * 1000; // Update every 5 seconds
+const STANDINGS_PAGE_SIZE = Number(process.env.PAGE_SIZE) || 50; // FPL pages are 50 - set PAGE_SIZE=3 to test paging
+const H2H_LEAGUE_ID = 999; // Load this league ID to test head-to-head mode
 let simulationStartTime = Date.now();
 let updateCount = 0;
 
+// GW21 Fixtures - already finished, for browsing a past gameweek
+const GW21_FIXTURES = [
+  { id: 211, event: 21, team_h: 3, team_a: 1, team_h_score: 2, team_a_score: 0, started: true, finished: true, kickoff_time: '2025-01-11T12:30:00Z' },  // Arsenal vs Man Utd
+  { id: 212, event: 21, team_h: 14, team_a: 8, team_h_score: 3, team_a_score: 1, started: true, finished: true, kickoff_time: '2025-01-11T15:00:00Z' }, // Liverpool vs Chelsea
+  { id: 213, event: 21, team_h: 6, team_a: 43, team_h_score: 1, team_a_score: 1, started: true, finished: true, kickoff_time: '2025-01-11T15:00:00Z' }, // Spurs vs Man City
+  { id: 214, event: 21, team_h: 4, team_a: 7, team_h_score: 0, team_a_score: 0, started: true, finished: true, kickoff_time: '2025-01-11T17:30:00Z' },  // Newcastle vs Aston Villa
+  { id: 215, event: 21, team_h: 21, team_a: 36, team_h_score: 2, team_a_score: 2, started: true, finished: true, kickoff_time: '2025-01-12T14:00:00Z' }, // West Ham vs Brighton
+];
+
 // GW22 Fixtures (example - adjust dates as needed)
 const GW22_FIXTURES = [
   { id: 221, event: 22, team_h: 1, team_a: 14, team_h_score: 0, team_a_score: 0, started: true, finished: false, kickoff_time: '2025-01-18T12:30:00Z' }, // Man Utd vs Liverpool
@@ -49,7 +64,7 @@ const TEAMS = [
   { id: 43, name: 'Man City', short_name: 'MCI', code: 43 },
 ];
 
-// Mock Players (id, name, team, position: 1=GK, 2=DEF, 3=MID, 4=FWD)
+// Mock Players (id, name, team, position: 1=GK, 2=DEF, 3=MID, 4=FWD, 5=Manager)
 const PLAYERS = [
   // Goalkeepers
   { id: 1, web_name: 'Onana', team: 1, element_type: 1 },
@@ -91,6 +106,19 @@ const PLAYERS = [
   { id: 55, web_name: 'Cunha', team: 39, element_type: 4 },
   { id: 56, web_name: 'Jackson', team: 8, element_type: 4 },
   { id: 57, web_name: 'Nunez', team: 14, element_type: 4 },
+  
+  // Managers (Assistant Manager chip - scored from their team's results)
+  { id: 70, web_name: 'Slot', team: 14, element_type: 5 },
+  { id: 71, web_name: 'Postecoglou', team: 6, element_type: 5 },
+];
+
+// Chips as listed in bootstrap-static
+const CHIPS = [
+  { id: 1, name: 'wildcard', number: 1, start_event: 2, stop_event: 19, chip_type: 'transfer' },
+  { id: 2, name: 'freehit', number: 1, start_event: 2, stop_event: 19, chip_type: 'transfer' },
+  { id: 3, name: 'bboost', number: 1, start_event: 1, stop_event: 19, chip_type: 'team' },
+  { id: 4, name: '3xc', number: 1, start_event: 1, stop_event: 19, chip_type: 'team' },
+  { id: 5, name: 'manager', number: 1, start_event: 1, stop_event: 38, chip_type: 'team' },
 ];
 
 // Mock League Members (your league ID 539861)
@@ -178,6 +206,7 @@ const MANAGER_PICKS = {
   },
   1004: {
     active_chip: null,
+    entry_history: { event: 22, event_transfers: 3, event_transfers_cost: 8 }, // Took a -8 hit
     picks: [
       { element: 5, position: 1, multiplier: 1, is_captain: false, is_vice_captain: false },
       { element: 11, position: 2, multiplier: 1, is_captain: false, is_vice_captain: false },
@@ -221,7 +250,7 @@ const MANAGER_PICKS = {
     automatic_subs: [],
   },
   1006: {
-    active_chip: null,
+    active_chip: 'manager', // Assistant Manager!
     picks: [
       { element: 2, position: 1, multiplier: 1, is_captain: false, is_vice_captain: false },
       { element: 11, position: 2, multiplier: 1, is_captain: false, is_vice_captain: false },
@@ -239,6 +268,8 @@ const MANAGER_PICKS = {
       { element: 17, position: 13, multiplier: 1, is_captain: false, is_vice_captain: false },
       { element: 39, position: 14, multiplier: 1, is_captain: false, is_vice_captain: false },
       { element: 53, position: 15, multiplier: 1, is_captain: false, is_vice_captain: false },
+      // Assistant Manager
+      { element: 71, position: 16, multiplier: 1, is_captain: false, is_vice_captain: false },
     ],
     automatic_subs: [],
   },
@@ -269,6 +300,25 @@ const MANAGER_PICKS = {
 // Players who will get 0 minutes (to trigger auto-subs)
 const PLAYERS_WITH_ZERO_MINS = [16, 17, 34]; // Dalot, Martinez, Bruno (example - some players benched)
 
+// GW21 final points - fixed, with bonus already in total_points like FPL once it's confirmed
+const GW21_LIVE = {
+  elements: PLAYERS.map(player => {
+    const played = player.element_type !== 5 && !PLAYERS_WITH_ZERO_MINS.includes(player.id);
+    return {
+      id: player.id,
+      stats: {
+        minutes: played ? 90 : 0,
+        goals_scored: 0,
+        assists: 0,
+        clean_sheets: 0,
+        goals_conceded: 0,
+        bonus: 0,
+        total_points: played ? 2 + (player.id % 7) : 0,
+      },
+    };
+  }),
+};
+
 // ============================================
 // SIMULATION FUNCTIONS
 // ============================================
@@ -313,7 +363,7 @@ function updateSimulation() {
         console.log(`  🏁 Match finished: ${TEAMS.find(t => t.id === fixture.team_h)?.short_name} ${fixture.team_h_score}-${fixture.team_a_score} ${TEAMS.find(t => t.id === fixture.team_a)?.short_name}`);
         
         // Trigger auto-subs for players with 0 minutes when their match finishes
-        triggerAutoSubs(fixture);
+        triggerAutoSubs();
       }
     }
   });
@@ -330,6 +380,9 @@ function updateSimulation() {
     const stats = livePlayerStats.get(player.id);
     if (!stats) return;
     
+    // Managers don't play - their points come from the fixture score
+    if (player.element_type === 5) return;
+    
     // Check if player gets 0 minutes
     if (PLAYERS_WITH_ZERO_MINS.includes(player.id)) {
       stats.stats.minutes = 0;
@@ -396,139 +449,43 @@ function updateSimulation() {
   });
 }
 
-function triggerAutoSubs(fixture) {
-  // FPL Formation Rules:
-  // - Min 3 DEF, Max 5 DEF
-  // - Min 2 MID, Max 5 MID
-  // - Min 1 FWD, Max 3 FWD
-  // - Exactly 1 GK
-  
-  const FORMATION_RULES = {
-    1: { min: 1, max: 1 },  // GK
-    2: { min: 3, max: 5 },  // DEF
-    3: { min: 2, max: 5 },  // MID
-    4: { min: 1, max: 3 },  // FWD
+// Live data for a gameweek - GW21 is finished, GW22 is the one being simulated
+function getLiveData(gameweek) {
+  return gameweek === 21 ? GW21_LIVE : { elements: Array.from(livePlayerStats.values()) };
+}
+
+// Scoring context over the simulated data - the same rules the app and server use
+function getScoringContext(gameweek = 22) {
+  return FPLScoring.createContext({
+    bootstrap: { elements: PLAYERS, chips: CHIPS },
+    liveData: getLiveData(gameweek),
+    fixtures: [...GW21_FIXTURES, ...GW22_FIXTURES],
+    gameweek,
+  });
+}
+
+// Confirm auto-subs in each manager's picks (like FPL's automatic_subs) when a match finishes
+function triggerAutoSubs() {
+  const context = getScoringContext();
+  const posNames = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
+  const playerLabel = (id) => {
+    const player = PLAYERS.find(p => p.id === id);
+    return `${player?.web_name} (${posNames[player?.element_type]})`;
   };
   
-  // For each manager, check if any starting player has 0 mins
   Object.keys(MANAGER_PICKS).forEach(managerId => {
     const picks = MANAGER_PICKS[managerId];
-    if (picks.active_chip === 'bboost') return; // No auto-subs with bench boost
-    
-    const starting11 = picks.picks.slice(0, 11);
-    const bench = picks.picks.slice(11);
+    const previous = new Set(picks.automatic_subs.map(s => s.element_out));
     
-    // Track which bench players have already been subbed in
-    const usedBenchPlayers = new Set(picks.automatic_subs.map(s => s.element_in));
+    // Re-run from scratch - the shared rules return FPL's subs as-is once any exist
+    const { confirmed, pending } = FPLScoring.calculateLocalAutoSubs({ ...picks, entry: parseInt(managerId), automatic_subs: [] }, context);
+    picks.automatic_subs = confirmed;
     
-    // Calculate current formation (accounting for existing auto-subs and who has played)
-    const getCurrentFormation = () => {
-      const formation = { 1: 0, 2: 0, 3: 0, 4: 0 };
-      const subbedOut = new Set(picks.automatic_subs.map(s => s.element_out));
-      const subbedIn = new Set(picks.automatic_subs.map(s => s.element_in));
-      
-      // Count starting players who are playing (not subbed out, have minutes)
-      starting11.forEach(pick => {
-        if (subbedOut.has(pick.element)) return;
-        const player = PLAYERS.find(p => p.id === pick.element);
-        const stats = livePlayerStats.get(pick.element);
-        if (player && stats && stats.stats.minutes > 0) {
-          formation[player.element_type]++;
-        }
-      });
-      
-      // Add subbed-in players
-      bench.forEach(pick => {
-        if (!subbedIn.has(pick.element)) return;
-        const player = PLAYERS.find(p => p.id === pick.element);
-        const stats = livePlayerStats.get(pick.element);
-        if (player && stats && stats.stats.minutes > 0) {
-          formation[player.element_type]++;
-        }
-      });
-      
-      return formation;
-    };
-    
-    // Check if subbing in a player would create a valid formation
-    const isValidSub = (playerOut, playerIn) => {
-      const outPos = playerOut.element_type;
-      const inPos = playerIn.element_type;
-      
-      // GK for GK only
-      if (outPos === 1 || inPos === 1) {
-        return outPos === 1 && inPos === 1;
-      }
-      
-      // Get current playing formation
-      const formation = getCurrentFormation();
-      
-      // Simulate the sub
-      const newFormation = { ...formation };
-      // Player out is already not counted (has 0 mins), so just add player in
-      newFormation[inPos]++;
-      
-      // Check if new formation is valid
-      for (const pos of [2, 3, 4]) {
-        const rules = FORMATION_RULES[pos];
-        if (newFormation[pos] < rules.min || newFormation[pos] > rules.max) {
-          return false;
-        }
-      }
-      
-      return true;
-    };
-    
-    starting11.forEach((pick, index) => {
-      const player = PLAYERS.find(p => p.id === pick.element);
-      if (!player) return;
-      
-      // Check if player's team played in this fixture
-      if (player.team !== fixture.team_h && player.team !== fixture.team_a) return;
-      
-      // Already subbed out?
-      if (picks.automatic_subs.find(s => s.element_out === pick.element)) return;
-      
-      const stats = livePlayerStats.get(pick.element);
-      if (stats && stats.stats.minutes === 0) {
-        // Find first VALID bench player (respecting ALL formation rules)
-        // Bench order: position 12 = GK, positions 13-15 = outfield
-        
-        const benchPlayer = bench.find(bp => {
-          // Already used?
-          if (usedBenchPlayers.has(bp.element)) return false;
-          
-          const bpPlayer = PLAYERS.find(p => p.id === bp.element);
-          const bpStats = livePlayerStats.get(bp.element);
-          
-          // Must have played
-          if (!bpStats || bpStats.stats.minutes === 0) return false;
-          
-          // Check formation validity
-          if (!isValidSub(player, bpPlayer)) return false;
-          
-          return true;
-        });
-        
-        if (benchPlayer) {
-          picks.automatic_subs.push({
-            element_in: benchPlayer.element,
-            element_out: pick.element,
-            entry: parseInt(managerId),
-            event: 22,
-          });
-          usedBenchPlayers.add(benchPlayer.element);
-          
-          const playerOut = PLAYERS.find(p => p.id === pick.element);
-          const playerIn = PLAYERS.find(p => p.id === benchPlayer.element);
-          const inPlayer = PLAYERS.find(p => p.id === benchPlayer.element);
-          const posNames = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
-          console.log(`  🔄 AUTO-SUB: ${playerOut?.web_name} (${posNames[playerOut?.element_type]}) → ${playerIn?.web_name} (${posNames[inPlayer?.element_type]}) (Manager ${managerId})`);
-        } else {
-          const posNames = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
-          console.log(`  ❌ NO VALID SUB for ${player.web_name} (${posNames[player.element_type]}) - formation rules prevent it (Manager ${managerId})`);
-        }
-      }
+    confirmed.filter(sub => !previous.has(sub.element_out)).forEach(sub => {
+      console.log(`  🔄 AUTO-SUB: ${playerLabel(sub.element_out)} → ${playerLabel(sub.element_in)} (Manager ${managerId})`);
+    });
+    pending.forEach(sub => {
+      console.log(`  ⏳ PENDING SUB for ${playerLabel(sub.element_out)} - waiting on ${playerLabel(sub.possible_in)} (Manager ${managerId})`);
     });
   });
 }
@@ -553,11 +510,17 @@ app.get('/api/bootstrap-static/', (req, res) => {
   res.json({
     elements: PLAYERS,
     teams: TEAMS,
+    chips: CHIPS,
     events: [
       { id: 21, name: 'Gameweek 21', is_current: false, is_next: false, finished: true, deadline_time: '2025-01-11T11:30:00Z' },
-      { id: 22, name: 'Gameweek 22', is_current: true, is_next: false, finished: false, deadline_time: '2025-01-18T11:30:00Z' },
+      { id: 22, name: 'Gameweek 22', is_current: true, is_next: false, finished: false, average_entry_score: 45, deadline_time: '2025-01-18T11:30:00Z' },
       { id: 23, name: 'Gameweek 23', is_current: false, is_next: true, finished: false, deadline_time: '2025-01-25T11:30:00Z' },
     ],
+    // Official monthly competitions (months come from these, not kickoff dates)
+    phases: [
+      { id: 1, name: 'Overall', start_event: 1, stop_event: 38 },
+      { id: 6, name: 'January', start_event: 21, stop_event: 24 },
+    ],
   });
 });
 
@@ -571,18 +534,23 @@ app.get('/api/event-status/', (req, res) => {
 
 // Fixtures
 app.get('/api/fixtures/', (req, res) => {
-  res.json(GW22_FIXTURES);
+  const fixtures = [...GW21_FIXTURES, ...GW22_FIXTURES];
+  res.json(req.query.event ? fixtures.filter(f => f.event === Number(req.query.event)) : fixtures);
 });
 
 // Live Data
 app.get('/api/event/:gw/live/', (req, res) => {
-  res.json({
-    elements: Array.from(livePlayerStats.values()),
-  });
+  res.json(getLiveData(Number(req.params.gw)));
 });
 
-// League Standings
+// League Standings (paged like FPL via ?page_standings=N)
 app.get('/api/leagues-classic/:leagueId/standings/', (req, res) => {
+  // Like FPL, a head-to-head league isn't found as a classic league
+  if (parseInt(req.params.leagueId) === H2H_LEAGUE_ID) {
+    return res.status(404).json({ detail: 'Not found.' });
+  }
+  
+  const page = parseInt(req.query.page_standings) || 1;
   const standings = LEAGUE_MEMBERS.map((member, index) => {
     // Calculate total from history
     const historyPoints = 1000 + Math.floor(Math.random() * 200);
@@ -603,50 +571,88 @@ app.get('/api/leagues-classic/:leagueId/standings/', (req, res) => {
       created: '2024-07-01T00:00:00Z',
     },
     standings: {
+      page,
+      has_next: page * STANDINGS_PAGE_SIZE < standings.length,
+      results: standings.slice((page - 1) * STANDINGS_PAGE_SIZE, page * STANDINGS_PAGE_SIZE),
+    },
+  });
+});
+
+// Head-to-Head League Standings (W/D/L after 21 gameweeks)
+app.get('/api/leagues-h2h/:leagueId/standings/', (req, res) => {
+  const standings = LEAGUE_MEMBERS.map((member, index) => {
+    const won = 14 - index;
+    const drawn = index % 3;
+    const lost = 21 - won - drawn;
+    return {
+      ...member,
+      rank: index + 1,
+      last_rank: index + 1,
+      matches_played: 21,
+      matches_won: won,
+      matches_drawn: drawn,
+      matches_lost: lost,
+      points_for: 1200 - index * 15,
+      total: won * 3 + drawn,
+    };
+  });
+  
+  res.json({
+    league: {
+      id: parseInt(req.params.leagueId),
+      name: 'FPL Simulation H2H League',
+      scoring: 'h',
+    },
+    standings: {
+      page: 1,
+      has_next: false,
       results: standings,
     },
   });
 });
 
+// Head-to-Head Match-ups - pairs members in order, the odd one out plays the average
+app.get('/api/leagues-h2h-matches/league/:leagueId/', (req, res) => {
+  const event = parseInt(req.query.event) || 22;
+  const side = (n, member) => ({
+    [`entry_${n}_entry`]: member?.entry ?? null,
+    [`entry_${n}_name`]: member?.entry_name ?? 'AVERAGE',
+    [`entry_${n}_player_name`]: member?.player_name ?? 'AVERAGE',
+    [`entry_${n}_points`]: 0,
+    [`entry_${n}_win`]: 0,
+    [`entry_${n}_draw`]: 0,
+    [`entry_${n}_loss`]: 0,
+  });
+  
+  const results = [];
+  for (let i = 0; i < LEAGUE_MEMBERS.length; i += 2) {
+    results.push({
+      id: event * 100 + i,
+      event,
+      ...side(1, LEAGUE_MEMBERS[i]),
+      ...side(2, LEAGUE_MEMBERS[i + 1]),
+    });
+  }
+  
+  res.json({ has_next: false, page: 1, results });
+});
+
 // Manager History
 app.get('/api/entry/:managerId/history/', (req, res) => {
   const managerId = parseInt(req.params.managerId);
   const picks = MANAGER_PICKS[managerId];
   
-  // Calculate live GW points for this manager
-  let gwPoints = 0;
-  if (picks) {
-    const isBenchBoost = picks.active_chip === 'bboost';
-    const subbedOut = new Set(picks.automatic_subs.map(s => s.element_out));
-    const subbedIn = new Set(picks.automatic_subs.map(s => s.element_in));
-    
-    picks.picks.forEach((pick, index) => {
-      const isStarting = index < 11;
-      const wasSubbedOut = subbedOut.has(pick.element);
-      const wasSubbedIn = subbedIn.has(pick.element);
-      
-      // Points count if: starting and not subbed out, OR subbed in, OR bench boost active
-      const pointsCount = (isStarting && !wasSubbedOut) || wasSubbedIn || (isBenchBoost && index >= 11);
-      
-      if (pointsCount) {
-        const stats = livePlayerStats.get(pick.element);
-        if (stats && stats.stats.minutes > 0) {
-          // Include bonus points in GW total
-          const basePoints = stats.stats.total_points || 0;
-          const bonusPoints = stats.stats.bonus || 0;
-          gwPoints += (basePoints + bonusPoints) * pick.multiplier;
-        }
-      }
-    });
-  }
+  // GW21 and live GW22 points for this manager (before any hit, like FPL's history)
+  const gwPoints = picks ? FPLScoring.calculateLiveInfo(picks, getScoringContext()).grossPoints : 0;
+  const prevGwPoints = picks ? FPLScoring.calculateLiveInfo(picks, getScoringContext(21)).grossPoints : 45 + (managerId % 30);
   
-  // Previous GW points (randomized but consistent per manager)
-  const prevGwPoints = 45 + (managerId % 30);
+  // Season total before GW22 (randomized but consistent per manager)
+  const prevTotal = 900 + (managerId % 7) * 15;
   
   res.json({
     current: [
-      { event: 21, points: prevGwPoints, total_points: 950, rank: 500000 },
-      { event: 22, points: gwPoints, total_points: 950 + gwPoints, rank: 500000 },
+      { event: 21, points: prevGwPoints, total_points: prevTotal, rank: 500000 },
+      { event: 22, points: gwPoints, total_points: prevTotal + gwPoints, rank: 500000 },
     ],
     past: [],
     chips: [],
@@ -677,6 +683,30 @@ app.get('/api/entry/:managerId/event/:gw/picks/', (req, res) => {
   res.json(picks);
 });
 
+// League live table - scored by the real server code, reading this server's mock API
+// (no caching so every simulation update shows up immediately)
+const leagueTables = new LeagueTableService(
+  new FPLClient({ baseUrl: `http://localhost:${PORT}/api`, endpoints: [], defaultTtl: 0 }),
+  { ttl: 0 }
+);
+
+// Live update stream - polls at the simulation's own update rate
+const liveUpdates = new LiveUpdates(leagueTables.client, leagueTables, { pollInterval: UPDATE_INTERVAL });
+
+app.get('/api/stream/league/:leagueId', (req, res) => {
+  liveUpdates.subscribe(parseInt(req.params.leagueId), req, res);
+});
+
+app.get('/api/league/:leagueId/live', async (req, res) => {
+  try {
+    const month = typeof req.query.month === 'string' ? req.query.month : null;
+    const limit = typeof req.query.limit === 'string' ? req.query.limit : undefined;
+    res.json(await leagueTables.getLiveTable(parseInt(req.params.leagueId), month, limit));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to build league table', message: error.message });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   const elapsed = Date.now() - simulationStartTime;
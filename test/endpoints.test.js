@@ -0,0 +1,86 @@
+/**
+ * Proxy allowlist (lib/endpoints.js) - the only FPL paths, path parameters and
+ * query parameters the public proxy will forward.
+ *
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveEndpoint, validateParam } = require('../lib/endpoints');
+
+// Resolve a path as the proxy sees it - pathname plus parsed query
+function resolve(fplPath) {
+  const url = new URL(fplPath, 'http://proxy');
+  return resolveEndpoint(url.pathname, Object.fromEntries(url.searchParams));
+}
+
+describe('allowed endpoints', () => {
+  // Every path app/app.js fetches through the proxy
+  const frontendPaths = [
+    '/bootstrap-static/',
+    '/fixtures/',
+    '/event-status/',
+    '/event/22/live/',
+    '/leagues-classic/314/standings/?page_standings=2',
+    '/leagues-h2h/314/standings/?page_standings=1',
+    '/leagues-h2h-matches/league/314/?event=22&page=1',
+    '/entry/1234567/history/',
+    '/entry/1234567/event/22/picks/',
+  ];
+
+  frontendPaths.forEach(fplPath => {
+    it(`accepts ${fplPath}`, () => {
+      assert.equal(resolve(fplPath).fplPath, fplPath);
+    });
+  });
+
+  it('sorts query params so equivalent requests share a cache entry', () => {
+    assert.equal(
+      resolve('/leagues-h2h-matches/league/314/?page=1&event=22').fplPath,
+      '/leagues-h2h-matches/league/314/?event=22&page=1'
+    );
+  });
+
+  it('rejects unknown paths with a 404', () => {
+    ['/me/', '/entry/1/transfers/', '/event/22/live', '/bootstrap-static/../me/'].forEach(fplPath => {
+      assert.equal(resolveEndpoint(fplPath).status, 404, fplPath);
+    });
+  });
+});
+
+describe('path and query parameters', () => {
+  it('rejects ids that aren\'t positive integers', () => {
+    ['abc', '0', '-1', '1.5', '012', '12345678901'].forEach(id => {
+      assert.equal(resolveEndpoint(`/entry/${id}/history/`).status, 400, id);
+    });
+  });
+
+  it('rejects gameweeks outside 1-38', () => {
+    ['0', '39', 'abc'].forEach(gw => {
+      assert.equal(resolveEndpoint(`/event/${gw}/live/`).status, 400, gw);
+      assert.equal(resolveEndpoint(`/entry/1/event/${gw}/picks/`).status, 400, gw);
+    });
+    assert.equal(resolve('/fixtures/?event=39').status, 400);
+  });
+
+  it('rejects unknown query params', () => {
+    const rejected = resolve('/bootstrap-static/?callback=x');
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.message, /"callback" is not allowed/);
+
+    assert.equal(resolve('/leagues-classic/314/standings/?page_new_entries=1').status, 400);
+  });
+
+  it('rejects a query param given more than once', () => {
+    assert.equal(resolveEndpoint('/fixtures/', { event: ['1', '2'] }).status, 400);
+  });
+
+  it('validates months and table limits for the server\'s own routes', () => {
+    assert.equal(validateParam('month', '2025-01'), null);
+    ['2025-13', '2025-1', 'January'].forEach(month => assert.ok(validateParam('month', month), month));
+
+    assert.equal(validateParam('limit', 250), null);
+    ['0', '-50', 'all', '99999999999'].forEach(limit => assert.ok(validateParam('limit', limit), limit));
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * FPL client (lib/fpl-client.js) - caching, coalescing concurrent requests,
+ * retrying transient failures and falling back to the last good response.
+ *
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FPLClient } = require('../lib/fpl-client');
+
+const fplError = (status) => Object.assign(new Error(`FPL API returned ${status}`), { status });
+
+// A client whose upstream answers from `respond` (a function of the call number)
+// and records every call, with retries too fast to slow the tests down
+function buildClient(respond, options = {}) {
+  const calls = [];
+  const client = new FPLClient({
+    upstream: async (fplPath) => {
+      calls.push(fplPath);
+      return respond(calls.length, fplPath);
+    },
+    retry: { baseDelay: 1, maxDelay: 1 },
+    ...options,
+  });
+  return { client, calls };
+}
+
+describe('fpl client', () => {
+  it('serves a fresh response from cache', async () => {
+    const { client, calls } = buildClient(call => ({ call }));
+
+    const first = await client.get('/bootstrap-static/');
+    const second = await client.get('/bootstrap-static/');
+
+    assert.deepEqual([first.cacheStatus, second.cacheStatus], ['MISS', 'HIT']);
+    assert.deepEqual(second.data, { call: 1 });
+    assert.equal(calls.length, 1);
+  });
+
+  it('shares one upstream fetch between concurrent requests', async () => {
+    const { client, calls } = buildClient(call => ({ call }));
+
+    const results = await Promise.all([1, 2, 3].map(() => client.get('/event/22/live/')));
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(results.map(r => r.data.call), [1, 1, 1]);
+  });
+
+  it('retries transient failures', async () => {
+    const { client, calls } = buildClient(call => {
+      if (call < 3) throw fplError(503);
+      return { call };
+    });
+
+    const result = await client.get('/fixtures/');
+
+    assert.equal(calls.length, 3);
+    assert.deepEqual(result.data, { call: 3 });
+  });
+
+  it('doesn\'t retry a request FPL rejected', async () => {
+    const { client, calls } = buildClient(() => { throw fplError(404); });
+
+    await assert.rejects(client.get('/entry/1/history/'), { status: 404 });
+    assert.equal(calls.length, 1);
+  });
+
+  it('serves the last good response, marked stale, when FPL stays down', async () => {
+    const { client, calls } = buildClient(call => {
+      if (call > 1) throw fplError(503);
+      return { call };
+    }, { defaultTtl: 0, endpoints: [] });
+
+    await client.get('/event-status/');
+    const stale = await client.get('/event-status/');
+
+    assert.equal(stale.cacheStatus, 'STALE');
+    assert.deepEqual(stale.data, { call: 1 });
+
+    // Within the cooldown, the stale copy is served without trying FPL again
+    const callsAfterFailure = calls.length;
+    await client.get('/event-status/');
+    assert.equal(calls.length, callsAfterFailure);
+  });
+});
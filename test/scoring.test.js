@@ -0,0 +1,906 @@
+/**
+ * Scoring rules (app/scoring.js) - chips, bonus ties, auto-subs, the armband,
+ * league ownership, manager comparisons, monthly phases, head-to-head match-ups,
+ * gaps and the refresh schedule.
+ *
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FPLScoring = require('../app/scoring');
+
+// ============================================
+// Fixtures
+// ============================================
+
+const GAMEWEEK = 22;
+
+// BPS of the opponents in every fixture - tests give players more to earn bonus
+const OPPONENT_BPS = 99;
+
+/**
+ * Build a gameweek where each team plays one fixture - every player has their
+ * own team unless given one.
+ * squad: [{ id, type, team, minutes, points, bps, bonus, fixture }] in pick order
+ * (11 starters, then the bench). fixture is 'finished', 'live', 'upcoming' or
+ * 'blank' - or give `fixtures` (e.g. ['finished', 'upcoming']) for a double.
+ */
+function buildGameweek(squad) {
+  const teamOf = (p) => p.team ?? p.id;
+  const statusesOf = (p) => p.fixtures ?? (p.fixture === 'blank' ? [] : [p.fixture]);
+
+  // Fixtures per team, with the statuses of its first player
+  const teams = new Map();
+  squad.forEach(p => {
+    if (!teams.has(teamOf(p))) teams.set(teamOf(p), statusesOf(p));
+  });
+  const fixtures = Array.from(teams).flatMap(([team, statuses]) => statuses.map((status, index) => ({
+    id: team + 100 * index,
+    event: GAMEWEEK,
+    team_h: team,
+    team_a: 1000 + team + 100 * index,
+    started: status !== 'upcoming',
+    finished: status === 'finished',
+    finished_provisional: status === 'finished',
+  })));
+
+  // Three opponents per fixture, tied on OPPONENT_BPS, take all the bonus by default
+  const opponents = fixtures.flatMap(f => [1, 2, 3].map(n => ({
+    id: f.team_a * 10 + n, type: 3, team: f.team_a, minutes: 90, points: 2, bps: OPPONENT_BPS, bonus: 0,
+  })));
+  const everyone = [...squad, ...opponents];
+
+  const bootstrap = {
+    elements: everyone.map(p => ({ id: p.id, web_name: `Player ${p.id}`, team: teamOf(p), element_type: p.type })),
+  };
+
+  const liveData = {
+    elements: everyone.map(p => ({
+      id: p.id,
+      stats: { minutes: p.minutes, total_points: p.points, bps: p.bps, bonus: p.bonus },
+    })),
+  };
+
+  return FPLScoring.createContext({ bootstrap, liveData, fixtures, gameweek: GAMEWEEK });
+}
+
+function buildPicks(squad, { captain, viceCaptain, chip = null, automaticSubs = [], transferCost = 0 } = {}) {
+  return {
+    entry: 1,
+    active_chip: chip,
+    automatic_subs: automaticSubs,
+    entry_history: { event: GAMEWEEK, event_transfers_cost: transferCost },
+    picks: squad.map((p, index) => ({
+      element: p.id,
+      position: index + 1,
+      multiplier: p.id === captain ? (chip === '3xc' ? 3 : 2) : index < 11 ? 1 : 0,
+      is_captain: p.id === captain,
+      is_vice_captain: p.id === viceCaptain,
+    })),
+  };
+}
+
+// 3-4-3 where everyone played 90 minutes for 2 points (too few BPS for bonus)
+// GK 1 | DEF 2-4 | MID 5-8 | FWD 9-11 | Bench: GK 12, then 13, 14, 15 as given
+function buildSquad(bench = [], overrides = {}) {
+  const types = [1, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4];
+  const starters = types.map((type, index) => ({ id: index + 1, type }));
+  const squad = [...starters, { id: 12, type: 1 }, ...bench.map((type, index) => ({ id: 13 + index, type }))];
+
+  return squad.map(p => ({
+    minutes: 90, points: 2, bps: 0, bonus: 0, fixture: 'finished',
+    ...p,
+    ...overrides[p.id],
+  }));
+}
+
+// Didn't play, and their match is over
+const MISSED = { minutes: 0, points: 0, fixture: 'finished' };
+const NOT_STARTED = { minutes: 0, points: 0, fixture: 'upcoming' };
+const BLANK = { minutes: 0, points: 0, fixture: 'blank' };
+
+// Player 1 plays in fixtures 1 and 2; player 2 only in 1, player 3 only in 2
+function buildDouble({ fixture1Bonus = 0 } = {}) {
+  const minutes = (value) => ({ identifier: 'minutes', value, points: 2 });
+  const bootstrap = {
+    elements: [1, 2, 3].map(id => ({ id, web_name: `Player ${id}`, team: id, element_type: 3 })),
+  };
+  const fixtures = [
+    { id: 1, event: GAMEWEEK, team_h: 1, team_a: 2, started: true, finished: fixture1Bonus > 0,
+      stats: [{ identifier: 'bps', h: [{ element: 1, value: 30 }], a: [{ element: 2, value: 20 }] }] },
+    { id: 2, event: GAMEWEEK, team_h: 3, team_a: 1, started: true, finished: false,
+      stats: [{ identifier: 'bps', h: [{ element: 3, value: 40 }], a: [{ element: 1, value: 10 }] }] },
+  ];
+  const liveData = {
+    elements: [
+      {
+        id: 1,
+        stats: { minutes: 180, total_points: 9 + fixture1Bonus, bps: 40, bonus: fixture1Bonus, goals_scored: 1 },
+        explain: [
+          { fixture: 1, stats: [minutes(90), { identifier: 'goals_scored', value: 1, points: 5 }, ...(fixture1Bonus ? [{ identifier: 'bonus', value: fixture1Bonus, points: fixture1Bonus }] : [])] },
+          { fixture: 2, stats: [minutes(90)] },
+        ],
+      },
+      { id: 2, stats: { minutes: 90, total_points: 2, bps: 20, bonus: 0 }, explain: [{ fixture: 1, stats: [minutes(90)] }] },
+      { id: 3, stats: { minutes: 90, total_points: 2, bps: 40, bonus: 0 }, explain: [{ fixture: 2, stats: [minutes(90)] }] },
+    ],
+  };
+  return FPLScoring.createContext({ bootstrap, liveData, fixtures, gameweek: GAMEWEEK });
+}
+
+function subs(result) {
+  return {
+    confirmed: result.confirmed.map(s => [s.element_out, s.element_in]),
+    pending: result.pending.map(s => [s.element_out, s.possible_in]),
+  };
+}
+
+// ============================================
+// Bonus
+// ============================================
+
+describe('provisional bonus', () => {
+  // Bonus for players in one fixture, by BPS
+  function bonusFor(bpsList) {
+    const squad = bpsList.map((bps, index) => ({ id: index + 1, type: 3, team: 1, minutes: 90, points: 2, bps, bonus: 0, fixture: 'live' }));
+    const { provisionalBonus } = buildGameweek(squad);
+    return squad.map(p => provisionalBonus.get(p.id) || 0);
+  }
+
+  it('awards 3, 2 and 1 to the top three', () => {
+    assert.deepEqual(bonusFor([130, 125, 120, 110]), [3, 2, 1, 0]);
+  });
+
+  it('gives tied 1st place 3 each, then 1 for the next player', () => {
+    assert.deepEqual(bonusFor([130, 130, 120, 110]), [3, 3, 1, 0]);
+  });
+
+  it('gives tied 2nd place 2 each, with no 3rd', () => {
+    assert.deepEqual(bonusFor([130, 125, 125, 110]), [3, 2, 2, 0]);
+  });
+
+  it('gives tied 3rd place 1 each', () => {
+    assert.deepEqual(bonusFor([130, 125, 120, 120]), [3, 2, 1, 1]);
+  });
+
+  it('ignores players who have not played', () => {
+    const squad = [
+      { id: 1, type: 3, team: 1, minutes: 0, points: 0, bps: 150, bonus: 0, fixture: 'live' },
+      { id: 2, type: 3, team: 1, minutes: 90, points: 2, bps: 110, bonus: 0, fixture: 'live' },
+    ];
+    const { provisionalBonus } = buildGameweek(squad);
+
+    assert.equal(provisionalBonus.get(1), undefined);
+    assert.equal(provisionalBonus.get(2), 3);
+  });
+
+  it('uses official bonus for a fixture once FPL has awarded any', () => {
+    const squad = [
+      { id: 1, type: 3, team: 1, minutes: 90, points: 5, bps: 20, bonus: 3, fixture: 'finished' },
+      { id: 2, type: 3, team: 1, minutes: 90, points: 2, bps: 30, bonus: 0, fixture: 'finished' },
+    ];
+    const context = buildGameweek(squad);
+
+    const { confirmed, bonus } = FPLScoring.calculateFixtureBonus(context.fixtures[0], context);
+    assert.equal(confirmed, true);
+    assert.deepEqual(bonus, [{ id: 1, bps: 20, bonus: 3 }]);
+  });
+
+  it('does not add provisional bonus on top of official bonus', () => {
+    const squad = buildSquad([2, 3, 4], {
+      5: { points: 8, bonus: 3, bps: 40 }, // total_points already includes the 3
+    });
+    const context = buildGameweek(squad);
+    const player = FPLScoring.calculatePlayerPoints(buildPicks(squad, { captain: 9, viceCaptain: 10 }), context)[4];
+
+    assert.equal(player.points, 8);
+    assert.equal(player.bonusPoints, 3);
+  });
+});
+
+// ============================================
+// Auto-subs
+// ============================================
+
+describe('auto-subs', () => {
+  const autoSubs = (squad, options) =>
+    subs(FPLScoring.calculateLocalAutoSubs(buildPicks(squad, { captain: 9, viceCaptain: 10, ...options }), buildGameweek(squad)));
+
+  it('subs in the first bench player who played', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [[5, 13]], pending: [] });
+  });
+
+  it('skips bench players who did not play', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED, 13: MISSED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [[5, 14]], pending: [] });
+  });
+
+  it('does not sub a starter whose match has not finished', () => {
+    const squad = buildSquad([3, 2, 4], { 5: { minutes: 0, points: 0, fixture: 'live' } });
+    assert.deepEqual(autoSubs(squad), { confirmed: [], pending: [] });
+  });
+
+  it('only replaces a goalkeeper with the bench goalkeeper', () => {
+    const squad = buildSquad([3, 2, 4], { 1: MISSED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [[1, 12]], pending: [] });
+  });
+
+  it('never brings the bench goalkeeper on for an outfield player', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED, 13: MISSED, 14: MISSED, 15: MISSED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [], pending: [] });
+  });
+
+  it('keeps at least 3 defenders (doc case 1)', () => {
+    // DEF out with 3 DEF: bench MID can't come on even though their match hasn't started
+    const squad = buildSquad([3, 2, 4], { 2: MISSED, 13: NOT_STARTED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [[2, 14]], pending: [] });
+  });
+
+  it('waits for a higher-priority bench player (doc case 2)', () => {
+    const squad = buildSquad([3, 4, 2], { 5: MISSED, 13: NOT_STARTED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [], pending: [[5, 13]] });
+  });
+
+  it('confirms one sub while another is pending (doc case 3)', () => {
+    const squad = buildSquad([3, 2, 4], { 2: MISSED, 5: MISSED, 13: NOT_STARTED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [[2, 14]], pending: [[5, 13]] });
+  });
+
+  it('subs the bench goalkeeper for the goalkeeper (doc case 4)', () => {
+    const squad = buildSquad([3, 2, 4], { 1: MISSED, 13: MISSED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [[1, 12]], pending: [] });
+  });
+
+  it('leaves a chain of uncertain subs pending (doc case 5)', () => {
+    const squad = buildSquad([3, 3, 2], { 2: MISSED, 5: MISSED, 13: NOT_STARTED, 15: NOT_STARTED });
+    assert.deepEqual(autoSubs(squad), { confirmed: [], pending: [[2, 15], [5, 13]] });
+  });
+
+  it('keeps at least 1 forward', () => {
+    // 5-4-1 with the forward out: only the bench forward can come on
+    const squad = buildSquad([3, 2, 4], { 11: MISSED }).map(p =>
+      p.id === 9 || p.id === 10 ? { ...p, type: 2 } : p
+    );
+    assert.deepEqual(autoSubs(squad), { confirmed: [[11, 15]], pending: [] });
+  });
+
+  it('counts only the defenders who will play when two are missing', () => {
+    // 4-4-2 with DEF 2 and 3 out and the bench DEF missed too: a bench MID or FWD
+    // would leave 2 defenders playing, so nobody comes on
+    const squad = buildSquad([3, 4, 2], { 2: MISSED, 3: MISSED, 15: MISSED }).map(p =>
+      p.id === 11 ? { ...p, type: 2 } : p
+    );
+    assert.deepEqual(autoSubs(squad), { confirmed: [], pending: [] });
+  });
+
+  it('uses FPL\'s automatic_subs once they exist', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED });
+    const automaticSubs = [{ element_in: 14, element_out: 5, entry: 1, event: GAMEWEEK }];
+    assert.deepEqual(autoSubs(squad, { automaticSubs }), { confirmed: [[5, 14]], pending: [] });
+  });
+
+  it('makes no subs with Bench Boost', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED });
+    assert.deepEqual(autoSubs(squad, { chip: 'bboost' }), { confirmed: [], pending: [] });
+  });
+});
+
+// ============================================
+// Chips, armband and live points
+// ============================================
+
+describe('live points', () => {
+  const liveInfo = (squad, options) =>
+    FPLScoring.calculateLiveInfo(buildPicks(squad, { captain: 9, viceCaptain: 10, ...options }), buildGameweek(squad));
+
+  it('doubles the captain', () => {
+    const squad = buildSquad([3, 2, 4], { 9: { points: 10 } });
+    // 10 starters x 2 + captain 10 x 2
+    assert.equal(liveInfo(squad).livePoints, 40);
+    assert.equal(liveInfo(squad).played, 11);
+  });
+
+  it('triples the captain with Triple Captain', () => {
+    const squad = buildSquad([3, 2, 4], { 9: { points: 10 } });
+    assert.equal(liveInfo(squad, { chip: '3xc' }).livePoints, 50);
+  });
+
+  it('counts the bench with Bench Boost', () => {
+    const squad = buildSquad([3, 2, 4]);
+    const info = liveInfo(squad, { chip: 'bboost' });
+    // 15 players x 2 + captain's extra 2
+    assert.equal(info.livePoints, 32);
+    assert.equal(info.played, 15);
+    assert.equal(info.maxPlayers, 15);
+  });
+
+  it('adds subbed-in bench points and drops the player they replaced', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED, 13: { points: 7 } });
+    const info = liveInfo(squad);
+    // 9 starters x 2 + captain 4 + sub 7
+    assert.equal(info.livePoints, 18 + 4 + 7);
+    assert.deepEqual(info.autoSubs.map(s => s.element_in), [13]);
+  });
+
+  it('counts no bench points for a pending sub', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED, 13: { ...NOT_STARTED } });
+    const info = liveInfo(squad);
+    assert.equal(info.livePoints, 18 + 4);
+    assert.equal(info.played, 10);
+    assert.deepEqual(info.pendingSubs.map(s => s.possible_in), [13]);
+  });
+
+  it('passes the armband to the vice-captain when the captain misses out', () => {
+    const squad = buildSquad([3, 2, 4], { 9: MISSED, 10: { points: 6 } });
+    const info = liveInfo(squad);
+    assert.equal(info.captainPromoted, true);
+    assert.equal(info.captainName, 'Player 10');
+    // 9 others x 2 + vice 6 x 2 + bench MID 2 for the captain
+    assert.equal(info.livePoints, 18 + 12 + 2);
+  });
+
+  it('moves Triple Captain to the vice-captain too', () => {
+    const squad = buildSquad([3, 2, 4], { 9: MISSED, 10: { points: 6 } });
+    assert.equal(liveInfo(squad, { chip: '3xc' }).livePoints, 18 + 18 + 2);
+  });
+
+  it('keeps the armband while the captain\'s match is still to come', () => {
+    const squad = buildSquad([3, 2, 4], { 9: NOT_STARTED, 10: { points: 6 } });
+    const info = liveInfo(squad);
+    assert.equal(info.captainPromoted, false);
+    assert.equal(info.captainName, 'Player 9');
+  });
+
+  it('deducts transfer hits from live points', () => {
+    const squad = buildSquad([3, 2, 4]);
+    const info = liveInfo(squad, { transferCost: 8 });
+    assert.equal(info.grossPoints, 24);
+    assert.equal(info.livePoints, 16);
+  });
+
+  it('returns per-player results that add up to the manager total', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED, 9: { points: 9 } });
+    const picks = buildPicks(squad, { captain: 9, viceCaptain: 10 });
+    const context = buildGameweek(squad);
+
+    const players = FPLScoring.calculatePlayerPoints(picks, context);
+    const total = players.reduce((sum, p) => sum + p.effectivePoints, 0);
+
+    assert.equal(players.length, 15);
+    assert.equal(total, FPLScoring.calculateLiveInfo(picks, context).grossPoints);
+    assert.deepEqual(
+      players.filter(p => p.wasSubbedOut || p.wasSubbedIn).map(p => [p.id, p.wasSubbedOut, p.wasSubbedIn]),
+      [[5, true, false], [13, false, true]]
+    );
+    assert.equal(players.find(p => p.id === 9).effectivePoints, 18);
+  });
+});
+
+// ============================================
+// Double and blank gameweeks
+// ============================================
+
+describe('double and blank gameweeks', () => {
+  const autoSubs = (squad, options) =>
+    subs(FPLScoring.calculateLocalAutoSubs(buildPicks(squad, { captain: 9, viceCaptain: 10, ...options }), buildGameweek(squad)));
+
+  it('does not sub a double gameweek starter until both games finish', () => {
+    const waiting = buildSquad([3, 2, 4], { 5: { minutes: 0, points: 0, fixtures: ['finished', 'upcoming'] } });
+    assert.deepEqual(autoSubs(waiting), { confirmed: [], pending: [] });
+
+    const done = buildSquad([3, 2, 4], { 5: { minutes: 0, points: 0, fixtures: ['finished', 'finished'] } });
+    assert.deepEqual(autoSubs(done), { confirmed: [[5, 13]], pending: [] });
+  });
+
+  it('waits on a double gameweek bench player with a game to come', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED, 13: { minutes: 0, points: 0, fixtures: ['finished', 'upcoming'] } });
+    assert.deepEqual(autoSubs(squad), { confirmed: [], pending: [[5, 13]] });
+  });
+
+  it('subs a blank gameweek starter straight away', () => {
+    const squad = buildSquad([3, 2, 4], { 5: BLANK });
+    assert.deepEqual(autoSubs(squad), { confirmed: [[5, 13]], pending: [] });
+  });
+
+  it('skips a blank gameweek bench player', () => {
+    const squad = buildSquad([3, 2, 4], { 5: MISSED, 13: BLANK });
+    assert.deepEqual(autoSubs(squad), { confirmed: [[5, 14]], pending: [] });
+  });
+
+  it('passes the armband on when the captain blanks', () => {
+    const squad = buildSquad([3, 2, 4], { 9: BLANK });
+    const info = FPLScoring.calculateLiveInfo(buildPicks(squad, { captain: 9, viceCaptain: 10 }), buildGameweek(squad));
+    assert.equal(info.captainPromoted, true);
+    assert.equal(info.captainName, 'Player 10');
+  });
+
+  it('lists each fixture on the player, with its own status', () => {
+    const squad = buildSquad([3, 2, 4], { 5: { fixtures: ['finished', 'live'] }, 6: BLANK });
+    const players = FPLScoring.calculatePlayerPoints(buildPicks(squad, { captain: 9, viceCaptain: 10 }), buildGameweek(squad));
+
+    assert.equal(players[4].fixtureStatus, 'playing');
+    assert.deepEqual(players[4].fixtures.map(f => [f.id, f.isHome, f.status]), [[5, true, 'finished'], [105, true, 'playing']]);
+    assert.equal(players[5].fixtureStatus, 'blank');
+    assert.deepEqual(players[5].fixtures, []);
+  });
+
+  it('awards provisional bonus per fixture and adds it up', () => {
+    const context = buildDouble();
+    // 3 for fixture 1 (30 vs 20 BPS), 2 for fixture 2 (10 vs 40)
+    assert.equal(context.provisionalBonus.get(1), 5);
+    assert.deepEqual(FPLScoring.calculateFixtureBonus(context.fixtures[1], context).bonus.map(b => [b.id, b.bps, b.bonus]), [[3, 40, 3], [1, 10, 2]]);
+  });
+
+  it('only adds provisional bonus for the fixture still waiting on it', () => {
+    const context = buildDouble({ fixture1Bonus: 3 });
+    assert.equal(context.provisionalBonus.get(1), 2);
+
+    const picks = { picks: [{ element: 1, position: 1, multiplier: 1, is_captain: false, is_vice_captain: false }] };
+    const [player] = FPLScoring.calculatePlayerPoints(picks, context);
+    assert.equal(player.points, 12 + 2);
+    assert.equal(player.bonusPoints, 5);
+  });
+
+  it('reads each fixture\'s stats from explain', () => {
+    const context = buildDouble();
+    assert.equal(FPLScoring.getPlayerFixtureStats(context, 1, context.fixtures[0]).goals_scored, 1);
+    assert.equal(FPLScoring.getPlayerFixtureStats(context, 1, context.fixtures[1]).goals_scored, undefined);
+  });
+});
+
+// ============================================
+// Points breakdown
+// ============================================
+
+describe('points breakdown', () => {
+  it('lists each fixture\'s scoring lines, then provisional bonus, then the multiplier', () => {
+    const context = buildDouble();
+    const breakdown = FPLScoring.calculatePointsBreakdown(1, 2, context);
+
+    assert.deepEqual(breakdown.fixtures.map(f => [f.id, f.lines.map(line => [line.identifier, line.value, line.points])]), [
+      [1, [['minutes', 90, 2], ['goals_scored', 1, 5]]],
+      [2, [['minutes', 90, 2]]],
+    ]);
+    assert.equal(breakdown.provisionalBonus, 5);
+    assert.equal(breakdown.subtotal, 14);
+    assert.equal(breakdown.total, 28);
+  });
+
+  it('shows official bonus as a line, not as provisional', () => {
+    const breakdown = FPLScoring.calculatePointsBreakdown(1, 1, buildDouble({ fixture1Bonus: 3 }));
+
+    assert.deepEqual(breakdown.fixtures[0].lines.at(-1), { identifier: 'bonus', value: 3, points: 3 });
+    assert.equal(breakdown.provisionalBonus, 2);
+    assert.equal(breakdown.total, 14);
+  });
+
+  it('falls back to the total without explain data', () => {
+    const squad = buildSquad([3, 2, 4], { 5: { points: 6 } });
+    const breakdown = FPLScoring.calculatePointsBreakdown(5, 1, buildGameweek(squad));
+
+    assert.deepEqual(breakdown.fixtures, [{ id: null, lines: [{ identifier: 'total_points', value: null, points: 6 }] }]);
+    assert.equal(breakdown.total, 6);
+  });
+});
+
+// ============================================
+// League ownership
+// ============================================
+
+describe('league ownership', () => {
+  const squad = buildSquad([3, 2, 4]);
+  // Player 9 benched for 13 (still a valid 3-5-2)
+  const benched = [...squad.slice(0, 8), squad[12], squad[9], squad[10], squad[11], squad[8], squad[13], squad[14]];
+
+  const managers = [1, 2, 3, 4, 5].map(entry => ({ entry, player_name: `Manager ${entry}` }));
+  const managerData = new Map([
+    [1, { picks: buildPicks(squad, { captain: 9, viceCaptain: 10 }) }],
+    [2, { picks: buildPicks(squad, { captain: 10, viceCaptain: 9 }) }],
+    [3, { picks: buildPicks(squad, { captain: 9, viceCaptain: 10, chip: '3xc' }) }],
+    [4, { picks: buildPicks(benched, { captain: 10, viceCaptain: 11 }) }],
+    // Manager 5's picks failed to load - left out of every percentage
+  ]);
+  const ownership = FPLScoring.calculateOwnership(managers, managerData, buildGameweek(squad));
+  const player = (id) => ownership.find(p => p.id === id);
+
+  it('works out ownership, captaincy and effective ownership', () => {
+    assert.equal(player(9).owners, 4);
+    assert.equal(player(9).ownership, 100);
+    assert.equal(player(9).captaincy, 50);
+    // 2 + 1 + 3 + 0 (benched)
+    assert.equal(player(9).effectiveOwnership, 150);
+    assert.equal(player(13).effectiveOwnership, 25);
+  });
+
+  it('sorts by effective ownership', () => {
+    assert.deepEqual(ownership.slice(0, 2).map(p => p.id), [9, 10]);
+  });
+
+  it('lists who gains and who loses when the player returns', () => {
+    const swings = (list) => list.map(s => [s.entry, s.multiplier, s.swing]);
+
+    assert.deepEqual(swings(player(9).gainers), [[3, 3, 1.5], [1, 2, 0.5]]);
+    assert.deepEqual(swings(player(9).losers), [[4, 0, -1.5], [2, 1, -0.5]]);
+    assert.deepEqual(swings(player(13).gainers), [[4, 1, 0.75]]);
+  });
+
+  it('counts the vice-captain as captain once the armband passes', () => {
+    const missed = buildSquad([3, 2, 4], { 9: MISSED });
+    const context = buildGameweek(missed);
+    const result = FPLScoring.calculateOwnership(managers.slice(0, 1),
+      new Map([[1, { picks: buildPicks(missed, { captain: 9, viceCaptain: 10 }) }]]), context);
+
+    assert.equal(result.find(p => p.id === 9).captaincy, 0);
+    assert.equal(result.find(p => p.id === 10).captaincy, 100);
+    assert.equal(result.find(p => p.id === 10).effectiveOwnership, 200);
+  });
+
+  it('returns nothing without any picks', () => {
+    assert.deepEqual(FPLScoring.calculateOwnership(managers, new Map(), buildGameweek(squad)), []);
+  });
+});
+
+// ============================================
+// Manager comparison
+// ============================================
+
+describe('manager comparison', () => {
+  const squadA = buildSquad([3, 2, 4], { 9: { points: 10 }, 10: { points: 4 }, 11: NOT_STARTED });
+  // B has player 16 instead of 8
+  const squadB = squadA.map(p => p.id === 8 ? { ...p, id: 16, points: 7 } : p);
+  const context = buildGameweek([...squadA, squadB[7]]);
+
+  const compare = (captainB) => FPLScoring.compareManagers(
+    buildPicks(squadA, { captain: 9, viceCaptain: 10 }),
+    buildPicks(squadB, { captain: captainB, viceCaptain: 9 }),
+    context
+  );
+
+  it('collapses players both managers count the same', () => {
+    assert.deepEqual(compare(10).shared.map(p => p.id), [1, 2, 3, 4, 5, 6, 7, 11]);
+  });
+
+  it('lists differentials, including captaincy, by the points they have swung', () => {
+    const { differentials } = compare(10);
+
+    assert.deepEqual(differentials.map(d => [d.id, d.multiplierA, d.multiplierB, d.favours, d.swing]), [
+      [9, 2, 1, 'a', 10],
+      [16, 0, 1, 'b', 7],
+      [10, 1, 2, 'b', 4],
+      [8, 1, 0, 'a', 2],
+    ]);
+  });
+
+  it('adds the differential swings up to the gap between the managers', () => {
+    const result = compare(10);
+
+    assert.equal(result.a.points, 40);
+    assert.equal(result.b.points, 39);
+    assert.equal(result.swing, 1);
+  });
+
+  it('counts the players each side still has to come', () => {
+    const result = compare(11);
+
+    assert.deepEqual(result.a, { points: 40, toCome: 1, toComeMultiplier: 1 });
+    assert.deepEqual(result.b, { points: 35, toCome: 1, toComeMultiplier: 2 });
+    assert.equal(result.differentials.find(d => d.id === 11).toCome, true);
+  });
+});
+
+// ============================================
+// Chips
+// ============================================
+
+describe('chips', () => {
+  // Player 16 is an Assistant Manager, whose team won 2-0
+  const withManager = (overrides = {}) => {
+    const squad = buildSquad([3, 2, 4, 5], { ...overrides, 16: { minutes: 0, points: 0, ...overrides[16] } });
+    const context = buildGameweek(squad);
+    Object.assign(context.fixtures.find(f => f.id === 16), { team_h_score: 2, team_a_score: 0 });
+    return { squad, context, picks: buildPicks(squad, { captain: 9, viceCaptain: 10, chip: 'manager' }) };
+  };
+
+  it('scores the Assistant Manager from their team\'s result', () => {
+    const { context, picks } = withManager();
+    const info = FPLScoring.calculateLiveInfo(picks, context);
+
+    // 11 players x 2 + captain 2, then win 6 + 2 goals + clean sheet 2
+    assert.equal(info.livePoints, 34);
+    assert.equal(info.played, 11);
+  });
+
+  it('uses FPL\'s manager points once the live data has them', () => {
+    const { context, picks } = withManager();
+    Object.assign(context.liveElements.get(16), {
+      stats: { total_points: 20 },
+      explain: [{ fixture: 16, stats: [{ identifier: 'mng_win', value: 1, points: 6 }, { identifier: 'mng_underdog_win', value: 1, points: 10 }] }],
+    });
+
+    assert.equal(FPLScoring.calculateLiveInfo(picks, context).livePoints, 44);
+  });
+
+  it('breaks the Assistant Manager\'s points down by result', () => {
+    const { context } = withManager();
+    const breakdown = FPLScoring.calculatePointsBreakdown(16, 1, context);
+
+    assert.deepEqual(breakdown.fixtures[0].lines.map(line => [line.identifier, line.points]), [
+      ['mng_win', 6], ['mng_goals_scored', 2], ['mng_clean_sheets', 2],
+    ]);
+    assert.equal(breakdown.total, 10);
+  });
+
+  it('never subs the Assistant Manager on', () => {
+    // Mid-match, a bench player would be waited on
+    const { context, picks } = withManager({ 9: MISSED, 13: MISSED, 14: MISSED, 15: MISSED, 16: { fixture: 'live' } });
+    assert.deepEqual(subs(FPLScoring.calculateLocalAutoSubs(picks, context)), { confirmed: [], pending: [] });
+  });
+
+  it('scores a chip it doesn\'t know like no chip', () => {
+    const squad = buildSquad([3, 2, 4], { 9: { points: 10 } });
+    const info = (chip) => FPLScoring.calculateLiveInfo(buildPicks(squad, { captain: 9, viceCaptain: 10, chip }), buildGameweek(squad));
+
+    assert.equal(info('mystery').livePoints, info(null).livePoints);
+    assert.equal(info('mystery').activeChip, 'mystery');
+  });
+
+  it('takes the captain multiplier from the bootstrap chip when it has one', () => {
+    const context = FPLScoring.createContext({ bootstrap: { elements: [] }, chips: [{ name: 'quadc', overrides: { pick_multiplier: 4 } }] });
+
+    assert.equal(FPLScoring.getChipRules(context, 'quadc').captainMultiplier, 4);
+    assert.equal(FPLScoring.getChipRules(context, '3xc').captainMultiplier, 3);
+    assert.equal(FPLScoring.getChipRules(context, null).captainMultiplier, 2);
+  });
+});
+
+// ============================================
+// Table views
+// ============================================
+
+describe('months', () => {
+  // First kickoff of GWs 15-22 across the turn of the year (local time)
+  const gameweekDates = new Map([
+    [15, new Date(2024, 11, 3)],
+    [16, new Date(2024, 11, 7)],
+    [17, new Date(2024, 11, 14)],
+    [18, new Date(2024, 11, 21)],
+    [19, new Date(2024, 11, 26)],
+    [20, new Date(2024, 11, 29)],
+    [21, new Date(2025, 0, 4)],
+    [22, new Date(2025, 0, 14)],
+  ]);
+  const phase = (name, start, stop) => ({ name, start_event: start, stop_event: stop });
+
+  it('puts a phase starting in late December into the January it is named for', () => {
+    const months = FPLScoring.buildMonthGameweeks(gameweekDates, [
+      phase('December', 15, 19),
+      phase('January', 20, 22),
+    ]);
+
+    assert.deepEqual([...months], [
+      ['2024-12', [15, 16, 17, 18, 19]],
+      ['2025-01', [20, 21, 22]],
+    ]);
+  });
+
+  it('skips the overall phase', () => {
+    const months = FPLScoring.buildMonthGameweeks(gameweekDates, [
+      phase('Overall', 1, 38),
+      phase('January', 20, 22),
+    ]);
+
+    assert.deepEqual([...months.keys()], ['2025-01']);
+  });
+
+  it('falls back to the month of each gameweek\'s first kickoff without monthly phases', () => {
+    const months = FPLScoring.buildMonthGameweeks(gameweekDates, [phase('Overall', 1, 38)]);
+
+    assert.deepEqual([...months], [
+      ['2024-12', [15, 16, 17, 18, 19, 20]],
+      ['2025-01', [21, 22]],
+    ]);
+  });
+});
+
+describe('table views', () => {
+  // Live GW points: A 34, B 44 (captain on 10) and C 30 after a -4
+  const squad = buildSquad([3, 2, 4], { 9: { points: 2 }, 10: { points: 12 } });
+  const context = buildGameweek(squad);
+  const history = (totals) => ({
+    current: totals.map(([points, total], index) => ({ event: GAMEWEEK - totals.length + index, points, total_points: total, event_transfers_cost: 0 })),
+  });
+
+  const managers = [
+    { entry: 1, total: 900 },
+    { entry: 2, total: 880 },
+    { entry: 3, total: 870 },
+  ];
+  const managerData = new Map([
+    [1, { history: history([[50, 850], [40, 890]]), picks: buildPicks(squad, { captain: 9, viceCaptain: 10 }) }],
+    [2, { history: history([[60, 820], [70, 890]]), picks: buildPicks(squad, { captain: 10, viceCaptain: 9 }) }],
+    [3, { history: history([[80, 800], [90, 890]]), picks: buildPicks(squad, { captain: 9, viceCaptain: 10, transferCost: 4 }) }],
+  ]);
+  const scores = FPLScoring.calculateScores(managers, managerData, [GAMEWEEK - 1, GAMEWEEK], context);
+  const order = (view) => FPLScoring.sortScores(FPLScoring.calculatePositionChanges(scores, view), view)
+    .map(m => [m.entry, m.positionChange]);
+
+  it('adds live gameweek points to the total before this gameweek', () => {
+    assert.deepEqual(scores.map(m => [m.previousTotal, m.gameweekPoints, m.liveTotal]), [
+      [890, 34, 924],
+      [890, 44, 934],
+      [890, 30, 920],
+    ]);
+  });
+
+  it('ranks the gameweek view against last gameweek\'s points', () => {
+    // Last gameweek: C 90, B 70, A 40
+    assert.deepEqual(order('gameweek'), [[2, 1], [1, 1], [3, -2]]);
+  });
+
+  it('ranks the overall view against the total before this gameweek', () => {
+    // Level on 890 before this gameweek, so standings total breaks the tie: A, B, C
+    assert.deepEqual(order('overall'), [[2, 1], [1, -1], [3, 0]]);
+  });
+
+  it('ranks the monthly view against the month before this gameweek', () => {
+    // Before this gameweek: C 90, B 70, A 40; now C 120, B 114, A 74
+    assert.deepEqual(order('monthly'), [[3, 0], [2, 0], [1, 0]]);
+  });
+
+  it('leaves later gameweeks out of the month when looking back at a past gameweek', () => {
+    const later = { ...managerData.get(1).history.current[1], event: GAMEWEEK + 1, points: 99 };
+    const pastData = new Map([[1, { ...managerData.get(1), history: { current: [...managerData.get(1).history.current, later] } }]]);
+    const [past] = FPLScoring.calculateScores([managers[0]], pastData, [GAMEWEEK - 1, GAMEWEEK, GAMEWEEK + 1], context);
+
+    // 40 last gameweek + 34 this one - the 99 after it doesn't count yet
+    assert.equal(past.monthlyPoints, 74);
+  });
+});
+
+describe('head-to-head', () => {
+  // A match-up between entries 1 and 2 (no entry_2 for the gameweek average)
+  const match = (id, entry1, entry2, result = {}) => ({
+    id,
+    entry_1_entry: entry1, entry_1_player_name: `Manager ${entry1}`, entry_1_name: `Team ${entry1}`, entry_1_points: 0,
+    entry_2_entry: entry2, entry_2_player_name: entry2 && `Manager ${entry2}`, entry_2_name: entry2 && `Team ${entry2}`, entry_2_points: 0,
+    entry_1_win: 0, entry_1_draw: 0, entry_1_loss: 0,
+    ...result,
+  });
+  const sides = (matchUp) => [matchUp.home.points, matchUp.home.result, matchUp.away.points, matchUp.away.result];
+
+  it('keeps the official points of a match FPL has settled', () => {
+    const settled = match(1, 1, 2, { entry_1_points: 50, entry_2_points: 40, entry_1_win: 1 });
+    const [matchUp] = FPLScoring.calculateH2HMatches([settled], new Map([[1, 10], [2, 90]]), 45);
+
+    assert.equal(matchUp.settled, true);
+    assert.deepEqual(sides(matchUp), [50, 'W', 40, 'L']);
+  });
+
+  it('projects an unsettled match from live points', () => {
+    const [matchUp] = FPLScoring.calculateH2HMatches([match(1, 1, 2)], new Map([[1, 60], [2, 60]]), 45);
+
+    assert.equal(matchUp.settled, false);
+    assert.deepEqual(sides(matchUp), [60, 'D', 60, 'D']);
+  });
+
+  it('plays the spare manager in an odd-sized league against the gameweek average', () => {
+    const [matchUp] = FPLScoring.calculateH2HMatches([match(1, 1, null)], new Map([[1, 44]]), 45);
+
+    assert.deepEqual(sides(matchUp), [44, 'L', 45, 'W']);
+    assert.equal(matchUp.away.player_name, 'Average');
+  });
+
+  // Standings before this gameweek: A 30, B 28 (more points for), C 28
+  const standings = [
+    { entry: 1, total: 30, matches_won: 10, matches_drawn: 0, matches_lost: 5, points_for: 1000, rank: 1 },
+    { entry: 2, total: 28, matches_won: 9, matches_drawn: 1, matches_lost: 5, points_for: 1100, rank: 2 },
+    { entry: 3, total: 28, matches_won: 9, matches_drawn: 1, matches_lost: 5, points_for: 900, rank: 3 },
+  ];
+
+  it('re-ranks the table on projected wins, draws and losses', () => {
+    const matchUps = FPLScoring.calculateH2HMatches(
+      [match(1, 2, 3), match(2, 1, null)],
+      new Map([[1, 30], [2, 60], [3, 40]]),
+      45
+    );
+    const rows = FPLScoring.sortScores(FPLScoring.applyH2HResults(standings, matchUps), 'h2h');
+
+    // B beats C and A loses to the average: B 31, A 30, C 28
+    assert.deepEqual(rows.map(m => [m.entry, m.h2hResult, m.h2hPoints, m.pointsFor, m.positionChange]), [
+      [2, 'W', 31, 1160, 1],
+      [1, 'L', 30, 1030, -1],
+      [3, 'L', 28, 940, 0],
+    ]);
+    assert.deepEqual([rows[0].won, rows[0].drawn, rows[0].lost], [10, 1, 5]);
+  });
+
+  it('doesn\'t count a settled match twice - the standings already include it', () => {
+    const settled = match(1, 1, 2, { entry_1_points: 40, entry_2_points: 50, entry_1_loss: 1 });
+    const matchUps = FPLScoring.calculateH2HMatches([settled], new Map(), 45);
+    const rows = FPLScoring.applyH2HResults(standings, matchUps);
+
+    assert.deepEqual(rows.map(m => [m.h2hResult, m.h2hPoints, m.pointsFor]), [
+      [null, 30, 1000],
+      [null, 28, 1100],
+      [null, 28, 900],
+    ]);
+  });
+});
+
+describe('gaps', () => {
+  // Monthly table: 120 / 110 / 110 / 95, with players still to play
+  const table = [
+    { entry: 1, player_name: 'A', monthlyPoints: 120, playedPlayers: 11, maxPlayers: 11 },
+    { entry: 2, player_name: 'B', monthlyPoints: 110, playedPlayers: 8, maxPlayers: 11 },
+    { entry: 3, player_name: 'C', monthlyPoints: 110, playedPlayers: 6, maxPlayers: 15 },
+    { entry: 4, player_name: 'D', monthlyPoints: 95, playedPlayers: 2, maxPlayers: 11 },
+  ];
+  const summary = (rival) => rival && [rival.entry, rival.position, rival.gap, rival.toPlay];
+
+  it('gives the gap to the leader and the places either side', () => {
+    const gaps = FPLScoring.calculateGaps(table, 3, 'monthly');
+
+    assert.deepEqual([gaps.position, gaps.points, gaps.toPlay], [3, 110, 9]);
+    assert.deepEqual(summary(gaps.leader), [1, 1, -10, 0]);
+    assert.deepEqual(summary(gaps.above), [2, 2, 0, 3]);
+    assert.deepEqual(summary(gaps.below), [4, 4, 15, 9]);
+  });
+
+  it('has no leader or place above for the leader, and no place below for the last', () => {
+    const leader = FPLScoring.calculateGaps(table, 1, 'monthly');
+    assert.equal(leader.leader, null);
+    assert.equal(leader.above, null);
+    assert.deepEqual(summary(leader.below), [2, 2, 10, 3]);
+
+    assert.equal(FPLScoring.calculateGaps(table, 4, 'monthly').below, null);
+  });
+
+  it('measures the gap in the view\'s own points', () => {
+    const h2h = table.map((m, index) => ({ ...m, h2hPoints: 30 - index * 3 }));
+    assert.equal(FPLScoring.calculateGaps(h2h, 2, 'h2h').leader.gap, -3);
+  });
+
+  it('returns null for a manager who isn\'t in the table', () => {
+    assert.equal(FPLScoring.calculateGaps(table, 99, 'monthly'), null);
+  });
+});
+
+describe('refresh schedule', () => {
+  const INTERVALS = { LIVE: 30 * 1000, BONUS: 2 * 60 * 1000, MAX_SLEEP: 60 * 60 * 1000 };
+  const NOW = Date.parse('2025-01-18T15:30:00Z');
+  const MINUTE = 60 * 1000;
+
+  // Kicking off `minutes` from NOW (negative for the past)
+  const fixture = (minutes, state = {}) => ({
+    kickoff_time: new Date(NOW + minutes * MINUTE).toISOString(),
+    started: false,
+    finished_provisional: false,
+    finished: false,
+    ...state,
+  });
+  const delay = (...fixtures) => FPLScoring.getRefreshDelay(fixtures, NOW, INTERVALS);
+
+  it('polls fast while a match is in play, or due to start', () => {
+    assert.equal(delay(fixture(-30, { started: true }), fixture(120)), INTERVALS.LIVE);
+    assert.equal(delay(fixture(-2)), INTERVALS.LIVE);
+  });
+
+  it('sleeps until the next kickoff between matches', () => {
+    assert.equal(delay(fixture(-200, { started: true, finished_provisional: true, finished: true }), fixture(45)), 45 * MINUTE);
+  });
+
+  it('checks for bonus every few minutes after full time, until it\'s confirmed', () => {
+    assert.equal(delay(fixture(-120, { started: true, finished_provisional: true }), fixture(45)), INTERVALS.BONUS);
+  });
+
+  it('never sleeps longer than the maximum', () => {
+    assert.equal(delay(fixture(3 * 24 * 60)), INTERVALS.MAX_SLEEP);
+    assert.equal(delay(), INTERVALS.MAX_SLEEP);
+  });
+
+  it('ignores a match that never started long after its kickoff', () => {
+    assert.equal(delay(fixture(-3 * 60), fixture(20)), 20 * MINUTE);
+  });
+});